@@ -4,258 +4,1136 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const Busboy = require('busboy');
+const ExcelJS = require('exceljs');
+const readline = require('readline');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Configuración para limitar concurrencia y memoria
-const MAX_CONCURRENT_REQUESTS = 2;
+const MAX_CONCURRENT_REQUESTS = parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 2; // Valor inicial, ajustable en caliente
 const HTTP_TIMEOUT = 4.5 * 60 * 1000; // 4.5 minutos para dar margen
 const ANALYSIS_TIMEOUT = 3 * 60 * 1000; // 3 minutos para análisis
+const MODEL_TIMEOUT = parseInt(process.env.MODEL_TIMEOUT_MS) || 55 * 1000; // Por modelo: deja tiempo para probar el siguiente de la cadena dentro del análisis
+const JOB_RETENTION = 60 * 60 * 1000; // 1 hora conservando jobs terminados
+const MAX_BATCH_SIZE = 1000; // Máximo de videos por lote
+const MAX_VIDEO_SIZE = (parseInt(process.env.MAX_VIDEO_SIZE_MB) || 2048) * 1024 * 1024; // Límite para cualquier fuente (los largos se analizan por fragmentos)
+// Tiempo para descargar/copiar un video: por defecto el que necesita MAX_VIDEO_SIZE a 5 MB/s
+// (mínimo 2 minutos); DOWNLOAD_TIMEOUT_SECONDS lo fija
+const DOWNLOAD_TIMEOUT = (parseInt(process.env.DOWNLOAD_TIMEOUT_SECONDS) * 1000) ||
+  Math.max(120000, Math.ceil(MAX_VIDEO_SIZE / (5 * 1024 * 1024)) * 1000);
+const LOCAL_VIDEO_DIR = process.env.LOCAL_VIDEO_DIR || null; // Raíz permitida para la fuente local
+// Hosts de red interna que la fuente url puede descargar (por defecto solo direcciones públicas)
+const URL_SOURCE_ALLOWED_HOSTS = (process.env.URL_SOURCE_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const GEMINI_BASE_URL = process.env.GEMINI_BASE_URL || null; // Endpoint alternativo de la API de Gemini
+const GEMINI_INLINE_MAX_MB = parseFloat(process.env.GEMINI_INLINE_MAX_MB) || 15; // Por encima se usa la File API
+const GEMINI_FILE_PROCESSING_TIMEOUT = 60000; // Espera máxima a que Gemini procese un archivo subido
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'); // Videos subidos pendientes de análisis
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PREPROCESS_TIMEOUT = parseInt(process.env.PREPROCESS_TIMEOUT_MS) || 90 * 1000; // Máximo por ejecución de ffmpeg
+const MIN_WATCH_INTERVAL = 60 * 1000; // Intervalo mínimo para vigilar carpetas
+const DEFAULT_WATCH_INTERVAL = 15 * 60 * 1000; // 15 minutos por defecto
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 60 * 1000; // Espera máxima a jobs en curso al cerrar
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000; // Primer reintento; se duplica en cada fallo
+const WEBHOOK_TIMEOUT = 10 * 1000; // 10 segundos por intento de entrega
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null; // Secreto por defecto si la petición no trae uno
+// Hosts de red interna a los que se pueden enviar webhooks (por defecto solo direcciones públicas)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Reintentos de jobs: backoff exponencial con jitter entre baseDelayMs y maxDelayMs; un
+// Retry-After del proveedor o de la fuente manda si pide esperar más
+const RETRY_POLICY = {
+  maxRetries: parseInt(process.env.JOB_MAX_RETRIES) >= 0 ? parseInt(process.env.JOB_MAX_RETRIES) : 2,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 5000,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 10 * 60 * 1000
+};
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
 let currentProcessing = 0;
 
+// Perfil de análisis por defecto: el prompt original y el esquema de sus diez campos
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_PROFILE_PROMPT = `Analiza este video y responde ÚNICAMENTE con JSON válido (sin markdown):
+    {
+      "texto_visible": "transcripción COMPLETA del texto visible" o false,
+      "musica_fondo": "descripción de la música" o false,
+      "objetos_presentes": "descripción de objetos" o false,
+      "personas": "descripción de personas" o false,
+      "acciones": "descripción de acciones" o false,
+      "colores_predominantes": "colores principales",
+      "ambiente_contexto": "descripción del ambiente",
+      "dialogo_narracion": "transcripción LITERAL del diálogo" o false,
+      "duracion_segundos": número_entero,
+      "duracion_formato": "formato legible (ej: '2:30')"
+    }`;
+const DEFAULT_PROFILE_SCHEMA = {
+  type: 'object',
+  required: [
+    'texto_visible', 'musica_fondo', 'objetos_presentes', 'personas', 'acciones',
+    'colores_predominantes', 'ambiente_contexto', 'dialogo_narracion', 'duracion_segundos', 'duracion_formato'
+  ],
+  properties: {
+    texto_visible: { type: ['string', 'boolean'] },
+    musica_fondo: { type: ['string', 'boolean'] },
+    objetos_presentes: { type: ['string', 'boolean'] },
+    personas: { type: ['string', 'boolean'] },
+    acciones: { type: ['string', 'boolean'] },
+    colores_predominantes: { type: 'string' },
+    ambiente_contexto: { type: 'string' },
+    dialogo_narracion: { type: ['string', 'boolean'] },
+    duracion_segundos: { type: 'integer' },
+    duracion_formato: { type: 'string' }
+  }
+};
+
+// Campos de la descripción con columna propia en el índice de búsqueda; el texto de
+// cualquier otro campo (perfiles personalizados) va a la columna 'otros'
+const SEARCH_FIELDS = [
+  'texto_visible', 'musica_fondo', 'objetos_presentes', 'personas', 'acciones',
+  'colores_predominantes', 'ambiente_contexto', 'dialogo_narracion', 'otros'
+];
+const MAX_SEARCH_LIMIT = 100;
+
+// Listado de videos: tamaño de página y campos que se pueden pedir con ?fields=
+const DEFAULT_VIDEO_PAGE_SIZE = 100;
+const MAX_VIDEO_PAGE_SIZE = 1000;
+const VIDEO_LIST_FIELDS = [
+  'drive_id', 'profile', 'description', 'created_at', 'status', 'validation_errors',
+  'model_used', 'prompt_hash', 'media_metadata', 'tokenUsage', 'content_md5', 'content_sha256', 'duplicate_of'
+];
+
+// Exportación e importación del catálogo
+const EXPORT_FORMATS = ['csv', 'jsonl', 'xlsx'];
+const EXPORT_PAGE_SIZE = 500;
+const EXPORT_META_COLUMNS = [
+  'drive_id', 'profile', 'created_at', 'status', 'model_used', 'duplicate_of', 'content_sha256', 'total_tokens'
+];
+const MAX_IMPORT_ERRORS = 100;
+
+// Perfil de segmentación: escenas y diálogos con marcas de tiempo (en segundos)
+const SEGMENTS_PROFILE = 'segmentos';
+const SEGMENTS_PROFILE_PROMPT = `Analiza este video y divídelo en escenas con marcas de tiempo. Responde ÚNICAMENTE con JSON válido (sin markdown):
+    {
+      "duracion_segundos": número_entero,
+      "escenas": [
+        { "inicio": segundos, "fin": segundos, "descripcion": "qué ocurre en la escena" }
+      ],
+      "dialogos": [
+        { "inicio": segundos, "fin": segundos, "hablante": "quién habla" o false, "texto": "transcripción LITERAL de la frase" }
+      ]
+    }
+    Usa segundos desde el inicio del video (pueden tener decimales, ej: 12.5). Las escenas deben cubrir
+    todo el video en orden. Cada diálogo es una frase corta apta para subtítulos; "dialogos" es [] si nadie habla.`;
+const SEGMENTS_PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['duracion_segundos', 'escenas', 'dialogos'],
+  properties: {
+    duracion_segundos: { type: 'integer' },
+    escenas: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['inicio', 'fin', 'descripcion'],
+        properties: {
+          inicio: { type: 'number' },
+          fin: { type: 'number' },
+          descripcion: { type: 'string' }
+        }
+      }
+    },
+    dialogos: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['inicio', 'fin', 'hablante', 'texto'],
+        properties: {
+          inicio: { type: 'number' },
+          fin: { type: 'number' },
+          hablante: { type: ['string', 'boolean'] },
+          texto: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Tipos de segmento guardados en video_segments
+const SEGMENT_KINDS = {
+  SCENE: 'scene',
+  DIALOGUE: 'dialogue'
+};
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Estado de un análisis guardado: los 'failed' no cuentan como cache
+const VIDEO_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed'
+};
+
+// Cadena de modelos por defecto, en orden de preferencia: "proveedor:modelo@MB", donde MB es
+// el tamaño máximo de video que acepta el modelo (sin @ no hay límite)
+const DEFAULT_LLM_PROVIDER = 'gemini';
+const MODEL_CHAIN = parseModelChain(process.env.LLM_MODEL_CHAIN || 'gemini:gemini-2.5-flash@500,gemini:gemini-2.5-pro@30');
+// El proveedor mock inventa descripciones: solo se acepta si se activa expresamente (pruebas)
+const LLM_ENABLE_MOCK = process.env.LLM_ENABLE_MOCK === 'true';
+const MOCK_FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || null; // Respuestas fijas del proveedor mock
+
+// Precios estimados en USD por millón de tokens de entrada y de salida, por modelo (tal como
+// se guarda en model_used). MODEL_PRICES (JSON con el mismo formato) los sustituye o amplía
+const MODEL_PRICES = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'mock:mock-1': { input: 0, output: 0 },
+  'mock:mock-invalid': { input: 0, output: 0 },
+  'mock:mock-unavailable': { input: 0, output: 0 },
+  'mock:mock-slow': { input: 0, output: 0 },
+  ...parseJsonSetting(process.env.MODEL_PRICES, 'MODEL_PRICES')
+};
+const USAGE_GROUPS = ['day', 'model', 'client'];
+
+// Políticas de cache: cuándo un análisis guardado deja de reutilizarse y se vuelve a generar
+const CACHE_POLICY = {
+  maxAgeMs: parseFloat(process.env.CACHE_MAX_AGE_DAYS || '0') * 24 * 60 * 60 * 1000, // 0 = sin límite
+  onModelChange: process.env.CACHE_INVALIDATE_ON_MODEL_CHANGE === 'true',
+  onPromptChange: process.env.CACHE_INVALIDATE_ON_PROMPT_CHANGE === 'true',
+  onSourceChange: process.env.CACHE_INVALIDATE_ON_SOURCE_CHANGE === 'true'
+};
+
+// Llamadas extra al modelo para corregir una respuesta que no cumple el esquema
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.GEMINI_REPAIR_ATTEMPTS || '1');
+
+// Preprocesamiento con ffmpeg antes de enviar el video a Gemini:
+// 'off' envía el original, 'transcode' lo reduce de resolución y bitrate,
+// 'keyframes' envía fotogramas muestreados (más el audio) en lugar del video
+const PREPROCESS_MODES = ['off', 'transcode', 'keyframes'];
+const PREPROCESS_DEFAULTS = {
+  mode: process.env.PREPROCESS_MODE || 'off',
+  maxHeight: parseInt(process.env.PREPROCESS_MAX_HEIGHT) || 720,
+  videoBitrate: process.env.PREPROCESS_VIDEO_BITRATE || '1M',
+  frameInterval: parseFloat(process.env.PREPROCESS_FRAME_INTERVAL) || 2, // segundos entre fotogramas
+  maxFrames: parseInt(process.env.PREPROCESS_MAX_FRAMES) || 120,
+  extractAudio: process.env.PREPROCESS_EXTRACT_AUDIO === 'true' // audio como archivo aparte
+};
+
+// Análisis por fragmentos: los videos de más de chunkSeconds o de más de maxSizeMB se
+// cortan en fragmentos de igual duración que se analizan por separado y se combinan
+const CHUNKING = {
+  chunkSeconds: parseInt(process.env.CHUNK_SECONDS) || 600,
+  maxSizeMB: parseFloat(process.env.CHUNK_MAX_SIZE_MB) || 200,
+  maxAttempts: parseInt(process.env.CHUNK_MAX_ATTEMPTS) || 2, // Intentos por fragmento antes de fallar el job
+  analysisTimeout: 150 * 1000 // Tiempo máximo por fragmento (se suma al límite del job)
+};
+
+// Cómo se combinan los campos del perfil por defecto al unir fragmentos; los perfiles
+// personalizados pueden indicarlo con "merge" en cada propiedad del esquema
+// ('concat', 'list', 'sum', 'max', 'first', 'duration')
+const CHUNK_MERGE_FIELDS = {
+  musica_fondo: 'list',
+  objetos_presentes: 'list',
+  personas: 'list',
+  colores_predominantes: 'list',
+  ambiente_contexto: 'list',
+  duracion_formato: 'duration'
+};
+const CHUNK_TIME_KEYS = ['inicio', 'fin']; // Marcas de tiempo que se desplazan al unir listas
+
+// Tipos MIME de los archivos que se envían a Gemini
+const MEDIA_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.avi': 'video/x-msvideo',
+  '.mov': 'video/quicktime',
+  '.wmv': 'video/x-ms-wmv',
+  '.webm': 'video/webm',
+  '.jpg': 'image/jpeg',
+  '.m4a': 'audio/mp4'
+};
+
+// Autenticación con API keys: sin ADMIN_API_KEY el servidor queda abierto (desarrollo)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_KEY_SCOPES = ['read', 'analyze', 'admin'];
+const API_KEY_QUOTA_PERIODS = ['day', 'month'];
+const DEFAULT_API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60; // Peticiones por minuto
+
+// Prioridades de los jobs, de mayor a menor; cada una es un carril que se atiende antes que el siguiente
+const JOB_PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_JOB_PRIORITY = 'normal';
+// Máximo de jobs simultáneos por modelo principal ({"gemini-2.5-pro": 1}), ajustable en caliente
+const MODEL_CONCURRENCY = parseJsonSetting(process.env.MODEL_CONCURRENCY, 'MODEL_CONCURRENCY');
+
+// Estados posibles de un job
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  DOWNLOADING: 'downloading',
+  PREPROCESSING: 'preprocessing',
+  ANALYZING: 'analyzing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+const FINISHED_JOB_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Error de un job con código, categoría (download, model, preprocess, database, timeout,
+// cancelled, internal) y si merece reintento. La cola decide con estos campos, no con el
+// texto del mensaje. retryAfterMs: espera mínima pedida por el servicio (Retry-After)
+class JobError extends Error {
+  constructor(message, { code, category, retryable = false, retryAfterMs = null, cause = null } = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+    this.category = category;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.cause = cause;
+  }
+}
+
+function timeoutError(message, code) {
+  return new JobError(message, { code, category: 'timeout', retryable: true });
+}
+
+// Timeout de una consulta a SQLite (base de datos ocupada): se puede reintentar
+function databaseTimeout(message) {
+  return new JobError(message, { code: 'DB_TIMEOUT', category: 'database', retryable: true });
+}
+
+// Clasifica cualquier error como JobError; los que ya lo son se devuelven tal cual
+function toJobError(error) {
+  if (error instanceof JobError) {
+    return error;
+  }
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_')) {
+    return new JobError(`Error de base de datos: ${error.message}`, {
+      code: error.code,
+      category: 'database',
+      retryable: error.code === 'SQLITE_BUSY' || error.code === 'SQLITE_LOCKED',
+      cause: error
+    });
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return new JobError(error.message, { code: error.code, category: 'network', retryable: true, cause: error });
+  }
+  return new JobError(error.message, { code: 'INTERNAL', category: 'internal', cause: error });
+}
+
+// Error de un proveedor de modelos. 429 se reintenta respetando el retraso que indique la
+// API; 400, 401, 403 y 404 no se reintentan; errores sin código HTTP (red) sí
+function classifyModelError(error, modelId) {
+  if (error instanceof JobError) {
+    return error;
+  }
+
+  const httpStatus = error.status || error.httpStatus || null;
+  const typed = (message, code, retryable) => new JobError(message, {
+    code,
+    category: 'model',
+    retryable,
+    retryAfterMs: parseRetryInfo(error.errorDetails),
+    cause: error
+  });
+
+  if (httpStatus === 429) {
+    return typed(`Límite de cuota excedido en ${modelId}`, 'MODEL_RATE_LIMITED', true);
+  }
+  if (httpStatus === 401 || httpStatus === 403) {
+    return typed(`API key inválida o sin permisos para ${modelId}`, 'MODEL_AUTH', false);
+  }
+  if (httpStatus >= 500) {
+    return typed(`Servicio de ${modelId} no disponible (HTTP ${httpStatus})`, 'MODEL_UNAVAILABLE', true);
+  }
+  if (httpStatus) {
+    return typed(`${modelId} rechazó la petición (HTTP ${httpStatus}): ${error.message}`, 'MODEL_REQUEST_REJECTED', false);
+  }
+  return typed(`Error llamando a ${modelId}: ${error.message}`, 'MODEL_ERROR', true);
+}
+
+// Error al obtener el video de su fuente (Drive, URL, S3, disco o subida)
+function classifyDownloadError(error) {
+  const message = `No se pudo descargar el video: ${error.message}`;
+  if (error instanceof JobError) {
+    return new JobError(message, { ...error, cause: error });
+  }
+
+  const httpStatus = error.httpStatus || error.response?.status || error.$metadata?.httpStatusCode || null;
+  const retryAfterMs = parseRetryAfter(error.retryAfter || error.response?.headers?.['retry-after']);
+  const typed = (code, retryable) => new JobError(message, { code, category: 'download', retryable, retryAfterMs, cause: error });
+
+  if (httpStatus === 404 || error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+    return typed('DOWNLOAD_NOT_FOUND', false);
+  }
+  if (httpStatus === 401 || httpStatus === 403) {
+    return typed('DOWNLOAD_FORBIDDEN', false);
+  }
+  if (httpStatus === 429) {
+    return typed('DOWNLOAD_RATE_LIMITED', true);
+  }
+  if (httpStatus >= 500 || NETWORK_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError') {
+    return typed('DOWNLOAD_UNAVAILABLE', true);
+  }
+  return typed('DOWNLOAD_FAILED', false);
+}
+
+// Cabecera Retry-After (segundos o fecha HTTP) en milisegundos; null si no hay o no es válida
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// RetryInfo de los errores de la API de Gemini ({ retryDelay: "31s" }) en milisegundos
+function parseRetryInfo(errorDetails) {
+  const retryInfo = (errorDetails || []).find(detail => String(detail['@type'] || '').endsWith('RetryInfo'));
+  const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Espera antes del reintento `retry` (1, 2...): exponencial con jitter entre la mitad y el
+// total del intervalo, para que los jobs que fallan a la vez no reintenten a la vez
+function computeRetryDelay(retry, error) {
+  const ceiling = Math.min(RETRY_POLICY.maxDelayMs, RETRY_POLICY.baseDelayMs * 2 ** (retry - 1));
+  const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  return Math.max(delay, error.retryAfterMs || 0);
+}
+
 // Sistema de cola mejorado con mejor manejo de concurrencia
-class ProcessingQueue {
+// Los trabajos (jobs) se desacoplan de la respuesta HTTP: cada video encolado
+// tiene un ID consultable y los clientes síncronos esperan el evento de fin.
+class ProcessingQueue extends EventEmitter {
   constructor() {
+    super();
     this.queue = [];
-    this.processingIds = new Set(); // Track IDs being processed
-    this.retryAttempts = new Map(); // Track retry attempts per video
-    this.maxRetries = 2;
+    this.jobs = new Map(); // Todos los jobs conocidos por ID
+    this.processingIds = new Set(); // Claves video:perfil en proceso (ver processingKey)
+    this.accepting = true; // false durante el cierre graceful
+    this.paused = false; // true: no se inician jobs nuevos (los que están en curso siguen)
+    this.concurrency = { max: MAX_CONCURRENT_REQUESTS, perModel: {} };
+    this.activeModels = new Map(); // Modelo principal -> jobs en proceso con él
+    this.servedAt = new Map(); // Clave de equidad -> turno en que se atendió por última vez
+    this.turn = 0;
+    this.setConcurrency({ perModel: MODEL_CONCURRENCY });
     
     // Procesar cola cada 2 segundos
     setInterval(() => this.processQueue(), 2000);
+    // Purgar jobs terminados antiguos cada 5 minutos
+    setInterval(() => this.pruneJobs(), 5 * 60 * 1000);
   }
 
-  add(videoId, res) {
-    // Verificar si ya está siendo procesado
-    if (this.processingIds.has(videoId)) {
-      console.log(`⚠️ Video ${videoId} ya está siendo procesado, rechazando duplicado`);
-      return res.status(409).json({
-        error: 'Video ya está siendo procesado',
-        videoId: videoId
-      });
+  // Devuelve el job activo (en cola o procesando) de un video y perfil, si existe
+  findActiveJob(videoId, profile = DEFAULT_PROFILE) {
+    return this.queue.find(job => job.videoId === videoId && job.profile === profile) || null;
+  }
+
+  // Indica si algún job activo (de cualquier perfil) usa el video
+  hasActiveVideo(videoId) {
+    return this.queue.some(job => job.videoId === videoId);
+  }
+
+  // Como add(), pero reutiliza el job activo del video en lugar de rechazarlo;
+  // una petición más urgente sube la prioridad del job existente
+  addOrMerge(videoId, options = {}) {
+    const existing = this.findActiveJob(videoId, options.profile);
+    if (!existing) {
+      return this.add(videoId, options);
     }
 
-    // Verificar si ya está en la cola
-    const existsInQueue = this.queue.some(item => item.videoId === videoId);
-    if (existsInQueue) {
-      console.log(`⚠️ Video ${videoId} ya está en la cola, rechazando duplicado`);
-      return res.status(409).json({
-        error: 'Video ya está en la cola',
-        videoId: videoId
-      });
+    if (options.priority && JOB_PRIORITIES.indexOf(options.priority) < JOB_PRIORITIES.indexOf(existing.priority)) {
+      existing.priority = options.priority;
+      existing.updatedAt = Date.now();
+      this.persistJob(existing);
     }
+    return existing;
+  }
 
-    // Configurar timeout para la respuesta HTTP
-    const timeout = setTimeout(() => {
-      console.log(`⏰ Timeout para video ${videoId} después de ${HTTP_TIMEOUT / 1000} segundos`);
-      if (!res.headersSent) {
-        res.status(408).json({
-          error: 'Procesamiento tomó demasiado tiempo',
-          videoId: videoId,
-          timeout: true
-        });
-      }
-      this.removeFromQueue(videoId);
-    }, HTTP_TIMEOUT);
+  add(videoId, {
+    profile = DEFAULT_PROFILE, force = false, preprocess = null, llm = null,
+    callbackUrl = null, callbackSecret = null, apiKeyId = null, client = null,
+    priority = DEFAULT_JOB_PRIORITY, fairnessKey = null
+  } = {}) {
+    if (!this.accepting) {
+      const error = new Error('Servidor cerrándose, no se aceptan nuevos videos');
+      error.status = 503;
+      throw error;
+    }
+
+    // Verificar si ya está siendo procesado o en la cola
+    const existing = this.findActiveJob(videoId, profile);
+    if (existing) {
+      const reason = existing.status === JOB_STATUS.QUEUED ? 'ya está en la cola' : 'ya está siendo procesado';
+      console.log(`⚠️ Video ${videoId} ${reason}, rechazando duplicado`);
+      const error = new Error(`Video ${reason}`);
+      error.status = 409;
+      error.job = existing;
+      throw error;
+    }
 
-    const queueItem = { 
-      videoId, 
-      res, 
-      timestamp: Date.now(),
-      timeout
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      videoId,
+      profile,
+      force: !!force,
+      preprocess,
+      llm,
+      apiKeyId,
+      client,
+      priority,
+      fairnessKey: fairnessKey || defaultFairnessKey(client, apiKeyId),
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      availableAt: now,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      callbackUrl,
+      callbackSecret
     };
 
-    this.queue.push(queueItem);
-    console.log(`📋 Video ${videoId} agregado a la cola. Posición: ${this.queue.length}`);
+    job.progress = null;
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.persistJob(job);
+    console.log(`📋 Video ${videoId} [${profile}]${job.force ? ' (forzado)' : ''} agregado a la cola (job ${job.id}, prioridad ${priority}). Posición: ${this.getPosition(job)}`);
     
     // Intentar procesar inmediatamente
-    this.processQueue();
+    setImmediate(() => this.processQueue());
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Posición (1-based) en el orden efectivo de la cola; null si no está esperando
+  getPosition(job) {
+    if (job.status !== JOB_STATUS.QUEUED) {
+      return null;
+    }
+    const index = this.getScheduleOrder().indexOf(job);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Orden en que se atenderán los jobs en espera: primero por prioridad y, dentro de cada
+  // prioridad, por turnos entre claves de equidad (lotes o clientes), empezando por la que
+  // lleva más tiempo sin ser atendida. Cada clave conserva su orden de llegada.
+  // Los jobs fijados con reorder() van delante de todo, en el orden indicado.
+  getScheduleOrder() {
+    const order = this.queue
+      .filter(job => job.status === JOB_STATUS.QUEUED && job.pin)
+      .sort((a, b) => a.pin - b.pin);
+
+    for (const priority of JOB_PRIORITIES) {
+      const groups = new Map();
+      for (const job of this.queue) {
+        if (job.status !== JOB_STATUS.QUEUED || job.pin || job.priority !== priority) continue;
+        if (!groups.has(job.fairnessKey)) groups.set(job.fairnessKey, []);
+        groups.get(job.fairnessKey).push(job);
+      }
+
+      const lists = [...groups.entries()]
+        .sort(([a], [b]) => (this.servedAt.get(a) || 0) - (this.servedAt.get(b) || 0))
+        .map(([, jobs]) => jobs);
+      const rounds = Math.max(0, ...lists.map(list => list.length));
+      for (let round = 0; round < rounds; round++) {
+        for (const list of lists) {
+          if (round < list.length) order.push(list[round]);
+        }
+      }
+    }
+
+    return order;
+  }
+
+  // Modelo con el que empezará el análisis del job (el primero configurado de su cadena)
+  getJobModel(job) {
+    try {
+      const model = resolveModelChain(job.llm || {}).find(entry => LLM_PROVIDERS[entry.provider].configured);
+      return model ? formatModelId(model) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  hasModelCapacity(model) {
+    const limit = this.concurrency.perModel[model];
+    return !limit || (this.activeModels.get(model) || 0) < limit;
+  }
+
+  // Cambia la concurrencia total y/o por modelo (null quita el límite de un modelo);
+  // lanza error 400 si los valores no son enteros positivos
+  setConcurrency({ max, perModel } = {}) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+    const isValidLimit = (value) => Number.isInteger(value) && value > 0;
+
+    if (max !== undefined && !isValidLimit(max)) {
+      fail('max debe ser un entero positivo');
+    }
+    if (perModel !== undefined && (!perModel || typeof perModel !== 'object' || Array.isArray(perModel))) {
+      fail('perModel debe ser un objeto { modelo: límite }');
+    }
+    for (const [model, limit] of Object.entries(perModel || {})) {
+      if (limit !== null && !isValidLimit(limit)) {
+        fail(`El límite de ${model} debe ser un entero positivo o null`);
+      }
+    }
+
+    if (max !== undefined) {
+      this.concurrency.max = max;
+    }
+    for (const [model, limit] of Object.entries(perModel || {})) {
+      if (limit === null) delete this.concurrency.perModel[model];
+      else this.concurrency.perModel[model] = limit;
+    }
+
+    setImmediate(() => this.processQueue());
+    return this.concurrency;
+  }
+
+  // Detiene o reanuda el inicio de jobs nuevos; los que están en curso no se interrumpen
+  pause() {
+    this.paused = true;
+    console.log('⏸️ Cola pausada');
+  }
+
+  resume() {
+    this.paused = false;
+    console.log('▶️ Cola reanudada');
+    setImmediate(() => this.processQueue());
+  }
+
+  // Cancela un job: si espera turno termina al momento; si está en curso se aborta su
+  // descarga, ffmpeg o llamada al modelo y termina en cuanto processQueue recibe el error.
+  // Lanza error 409 si el job ya terminó
+  cancel(job, { by = null, reason = null } = {}) {
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      const error = new Error(`El job ya terminó (${job.status})`);
+      error.status = 409;
+      throw error;
+    }
+    if (job.cancellation) {
+      return job;
+    }
+
+    job.cancellation = { by, reason };
+    console.log(`🛑 Cancelando job ${job.id} (${job.videoId})${by ? ` por ${by}` : ''}`);
+
+    if (job.abortController) {
+      job.abortController.abort(new JobError('Job cancelado', { code: 'CANCELLED', category: 'cancelled' }));
+    } else {
+      this.finishCancelled(job);
+    }
+    return job;
+  }
+
+  finishCancelled(job) {
+    const { by, reason } = job.cancellation;
+    job.cancelledBy = by;
+    job.cancelReason = reason;
+    job.errorCode = 'CANCELLED';
+    job.errorCategory = 'cancelled';
+    this.finishJob(job, JOB_STATUS.CANCELLED, {
+      error: `Cancelado${by ? ` por ${by}` : ''}${reason ? `: ${reason}` : ''}`
+    });
+    deleteJobChunks(job.id).catch(error => {
+      console.warn(`No se pudieron borrar los fragmentos del job ${job.id}:`, error.message);
+    });
+  }
+
+  // Cancela los jobs que esperan turno (opcionalmente solo los de una prioridad o clave de
+  // equidad); los que están en curso siguen
+  drainQueued({ priority = null, fairnessKey = null } = {}, cancellation = {}) {
+    const waiting = this.queue.filter(job =>
+      job.status === JOB_STATUS.QUEUED &&
+      !job.abortController &&
+      (!priority || job.priority === priority) &&
+      (!fairnessKey || job.fairnessKey === fairnessKey)
+    );
+    waiting.forEach(job => this.cancel(job, cancellation));
+    return waiting;
+  }
+
+  // Fija los jobs indicados al principio de la cola, en ese orden, por delante de las
+  // prioridades; los que estaban fijados y no aparecen vuelven a su sitio. Lanza error 400
+  // si algún ID no es un job en espera
+  reorder(jobIds) {
+    const ids = [...new Set(jobIds)];
+    const invalid = ids.filter(id => {
+      const job = this.jobs.get(id);
+      return !job || job.status !== JOB_STATUS.QUEUED || job.abortController || !this.queue.includes(job);
+    });
+    if (invalid.length > 0) {
+      const error = new Error(`Jobs que no están esperando turno: ${invalid.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    for (const job of this.queue) {
+      if (job.pin && !ids.includes(job.id)) {
+        job.pin = null;
+        this.persistJob(job);
+      }
+    }
+    ids.forEach((id, index) => {
+      const job = this.jobs.get(id);
+      job.pin = index + 1;
+      this.persistJob(job);
+    });
+    console.log(`🔀 Cola reordenada: ${ids.length} jobs fijados al principio`);
+  }
+
+  // Orden efectivo de la cola para /queue-status
+  getSchedule(limit) {
+    const now = Date.now();
+    return this.getScheduleOrder().slice(0, limit).map((job, index) => ({
+      position: index + 1,
+      jobId: job.id,
+      videoId: job.videoId,
+      profile: job.profile,
+      priority: job.priority,
+      fairnessKey: job.fairnessKey,
+      pinned: job.pin ? true : undefined,
+      model: this.getJobModel(job),
+      attempts: job.attempts,
+      availableAt: job.availableAt > now ? new Date(job.availableAt).toISOString() : undefined
+    }));
+  }
+
+  setJobStatus(job, status) {
+    job.status = status;
+    job.updatedAt = Date.now();
+    this.persistJob(job);
+    console.log(`🔖 Job ${job.id} (${job.videoId}): ${status}`);
+  }
+
+  // Progreso del análisis por fragmentos: { total, done, current, chunks: [...] }
+  setJobProgress(job, progress) {
+    job.progress = progress;
+    job.updatedAt = Date.now();
+    this.persistJob(job);
+  }
+
+  // Guarda el estado del job en SQLite sin bloquear la cola
+  persistJob(job) {
+    saveJob(job).catch(error => {
+      console.error(`Error guardando job ${job.id}:`, error.message);
+    });
+  }
+
+  // Recupera jobs sin terminar tras un reinicio o caída del proceso
+  async restorePendingJobs() {
+    const rows = await getPendingJobsFromDB();
+    let restored = 0;
+
+    for (const row of rows) {
+      const job = jobFromRow(row);
+      if (this.jobs.has(job.id) || this.findActiveJob(job.videoId, job.profile)) {
+        continue;
+      }
+
+      // Lo que estaba en proceso al caer vuelve a pendiente conservando intentos
+      if (job.status !== JOB_STATUS.QUEUED) {
+        job.status = JOB_STATUS.QUEUED;
+        job.updatedAt = Date.now();
+        this.persistJob(job);
+      }
+
+      this.jobs.set(job.id, job);
+      this.queue.push(job);
+      restored++;
+    }
+
+    if (restored > 0) {
+      console.log(`♻️ ${restored} jobs pendientes restaurados desde la base de datos`);
+      setImmediate(() => this.processQueue());
+    }
+    return restored;
+  }
+
+  // Deja de aceptar y de iniciar trabajo; espera a los jobs en curso hasta timeoutMs
+  async drain(timeoutMs) {
+    this.accepting = false;
+    const deadline = Date.now() + timeoutMs;
+
+    while (currentProcessing > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    return currentProcessing === 0;
+  }
+
+  finishJob(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    if (!error) {
+      // Un reintento que termina bien no arrastra el código del fallo anterior
+      job.errorCode = null;
+      job.errorCategory = null;
+      job.validationErrors = null;
+    }
+    job.finishedAt = Date.now();
+    job.updatedAt = job.finishedAt;
+    this.persistJob(job);
+    this.removeFromQueue(job);
+    this.emit('jobFinished', job);
+  }
+
+  // Espera a que el job termine; rechaza con timeout si tarda más de timeoutMs
+  waitForJob(job, timeoutMs) {
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onFinished = (finishedJob) => {
+        if (finishedJob.id !== job.id) return;
+        clearTimeout(timeout);
+        this.off('jobFinished', onFinished);
+        resolve(finishedJob);
+      };
+
+      const timeout = setTimeout(() => {
+        this.off('jobFinished', onFinished);
+        const error = new Error('Procesamiento tomó demasiado tiempo');
+        error.timeout = true;
+        reject(error);
+      }, timeoutMs);
+
+      this.on('jobFinished', onFinished);
+    });
   }
 
-  removeFromQueue(videoId) {
-    const index = this.queue.findIndex(item => item.videoId === videoId);
+  removeFromQueue(job) {
+    const index = this.queue.indexOf(job);
     if (index !== -1) {
-      const item = this.queue.splice(index, 1)[0];
-      if (item.timeout) {
-        clearTimeout(item.timeout);
+      this.queue.splice(index, 1);
+      console.log(`🗑️ Video ${job.videoId} [${job.profile}] removido de la cola`);
+    }
+    this.processingIds.delete(this.processingKey(job));
+  }
+
+  // Un mismo video puede analizarse a la vez con perfiles distintos
+  processingKey(job) {
+    return `${job.videoId}:${job.profile}`;
+  }
+
+  pruneJobs() {
+    const limit = Date.now() - JOB_RETENTION;
+    for (const [jobId, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt < limit) {
+        this.jobs.delete(jobId);
       }
-      console.log(`🗑️ Video ${videoId} removido de la cola`);
     }
-    this.processingIds.delete(videoId);
   }
 
   async processQueue() {
-    // No procesar si no hay capacidad
-    if (currentProcessing >= MAX_CONCURRENT_REQUESTS || this.queue.length === 0) {
+    // No procesar si no hay capacidad o si el servidor se está cerrando
+    if (!this.accepting || this.paused || currentProcessing >= this.concurrency.max || this.queue.length === 0) {
       return;
     }
 
-    // Tomar el primer video de la cola
-    const queueItem = this.queue.find(item => !this.processingIds.has(item.videoId));
-    if (!queueItem) {
+    // Tomar el primer video del orden efectivo listo para procesar y con hueco en su modelo
+    const now = Date.now();
+    const job = this.getScheduleOrder().find(item =>
+      item.availableAt <= now &&
+      !this.processingIds.has(this.processingKey(item)) &&
+      this.hasModelCapacity(this.getJobModel(item))
+    );
+    if (!job) {
       return;
     }
 
-    const { videoId, res, timeout } = queueItem;
+    const { videoId } = job;
+    const model = this.getJobModel(job);
     
     // Marcar como procesando
-    this.processingIds.add(videoId);
+    this.processingIds.add(this.processingKey(job));
     currentProcessing++;
+    this.activeModels.set(model, (this.activeModels.get(model) || 0) + 1);
+    this.servedAt.set(job.fairnessKey, ++this.turn);
+    job.abortController = new AbortController(); // Permite cancelar el job en curso
+    job.attempts++;
+    job.startedAt = job.startedAt || now;
     
-    console.log(`🎬 Procesando video de la cola: ${videoId} (${this.queue.length} en cola, ${currentProcessing}/${MAX_CONCURRENT_REQUESTS} procesando)`);
+    console.log(`🎬 Procesando video de la cola: ${videoId} [${job.priority}, ${job.fairnessKey}] (${this.queue.length} en cola, ${currentProcessing}/${this.concurrency.max} procesando)`);
+
+    // Ocupar el resto de huecos libres
+    setImmediate(() => this.processQueue());
     
     try {
-      await this.processVideo(videoId, res);
+      const result = await this.processVideo(job);
+      this.finishJob(job, JOB_STATUS.DONE, { result });
     } catch (error) {
-      console.error(`❌ Error procesando video ${videoId}:`, error.message);
+      if (job.cancellation) {
+        this.finishCancelled(job);
+        return;
+      }
+
+      const jobError = toJobError(error);
+      job.errorCode = jobError.code;
+      job.errorCategory = jobError.category;
+      console.error(`❌ Error procesando video ${videoId} [${jobError.code}]:`, error.message);
       
       // Verificar si se puede reintentar
-      const attempts = this.retryAttempts.get(videoId) || 0;
-      if (attempts < this.maxRetries && this.isRetryableError(error)) {
-        console.log(`🔄 Reintentando video ${videoId} (${attempts + 1}/${this.maxRetries})`);
-        this.retryAttempts.set(videoId, attempts + 1);
+      const attempts = job.attempts - 1; // Reintentos ya realizados
+      if (attempts < RETRY_POLICY.maxRetries && jobError.retryable) {
+        const delay = computeRetryDelay(attempts + 1, jobError);
+        console.log(`🔄 Reintentando video ${videoId} (${attempts + 1}/${RETRY_POLICY.maxRetries}) en ${(delay / 1000).toFixed(1)} s`);
         
-        // Volver a agregar a la cola después de un delay
-        setTimeout(() => {
-          this.processingIds.delete(videoId);
-          this.processQueue();
-        }, 5000 * (attempts + 1)); // Backoff incremental
+        // Devolver a la cola con un delay
+        job.error = error.message;
+        job.availableAt = Date.now() + delay;
+        this.processingIds.delete(this.processingKey(job));
+        this.setJobStatus(job, JOB_STATUS.QUEUED);
       } else {
-        // Sin más reintentos
-        this.retryAttempts.delete(videoId);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: `Error procesando video después de ${attempts + 1} intentos: ${error.message}`,
-            videoId: videoId,
-            attempts: attempts + 1
-          });
-        }
+        // Sin más reintentos: pasa a la lista de fallidos (GET /dead-letters)
+        job.deadLetteredAt = Date.now();
+        this.finishJob(job, JOB_STATUS.FAILED, {
+          error: `Error procesando video después de ${job.attempts} intentos: ${error.message}`
+        });
       }
     } finally {
       // Limpiar
       currentProcessing--;
-      this.removeFromQueue(videoId);
+      delete job.abortController;
+      if (this.activeModels.get(model) > 1) this.activeModels.set(model, this.activeModels.get(model) - 1);
+      else this.activeModels.delete(model);
       
       // Continuar procesando cola
       setTimeout(() => this.processQueue(), 1000);
     }
   }
 
-  isRetryableError(error) {
-    const retryableMessages = [
-      '500', '502', '503', '504',
-      'timeout', 'network', 'ECONNRESET', 'ETIMEDOUT',
-      'Internal Server Error', 'Service Unavailable',
-      'temporalmente no disponible', 'sobrecargado'
-    ];
-    
-    return retryableMessages.some(msg => 
-      error.message.toLowerCase().includes(msg.toLowerCase())
-    );
-  }
+  async processVideo(job) {
+    const { videoId, profile } = job;
 
-  async processVideo(videoId, res) {
     try {
-      // Verificar si ya existe en la base de datos
-      const existingVideo = await getVideoFromDB(videoId);
+      // Verificar si ya existe en la base de datos (cache por video y perfil);
+      // con force se ignora y el resultado anterior queda en el historial
+      const existingVideo = job.force ? null : await getCachedAnalysis(videoId, profile);
 
       if (existingVideo) {
         console.log(`✅ Video encontrado en cache: ${videoId}`);
-        let parsedDescription = existingVideo.description;
-        try {
-          parsedDescription = JSON.parse(existingVideo.description);
-        } catch (e) {
-          console.warn('Description no es JSON válido, manteniendo como string');
-        }
-
-        let tokenUsage = null;
-        if (existingVideo.token_usage) {
-          try {
-            tokenUsage = JSON.parse(existingVideo.token_usage);
-          } catch (e) {
-            console.warn('Error parseando token_usage:', e.message);
-          }
-        }
-
-        if (!res.headersSent) {
-          res.json({
-            drive_id: existingVideo.drive_id,
-            description: parsedDescription,
-            cached: true,
-            tokenUsage: tokenUsage
-          });
-        }
-        return;
+        return buildCachedResponse(existingVideo);
       }
 
-      // Procesamiento con timeout estricto
+      // Procesamiento con timeout estricto; el análisis por fragmentos amplía el límite
       console.log(`🚀 Iniciando procesamiento nuevo: ${videoId}`);
       
-      const processingPromise = this.performVideoAnalysis(videoId);
+      const processingPromise = this.performVideoAnalysis(job);
+      let deadline = Date.now() + ANALYSIS_TIMEOUT;
+      let timer;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error('Procesamiento excedió el tiempo límite'));
-        }, ANALYSIS_TIMEOUT);
+        const arm = () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            reject(timeoutError('Procesamiento excedió el tiempo límite', 'PROCESSING_TIMEOUT'));
+          }, deadline - Date.now());
+        };
+        job.extendDeadline = (ms) => {
+          deadline += ms;
+          arm();
+        };
+        arm();
       });
 
-      const result = await Promise.race([processingPromise, timeoutPromise]);
-      
-      if (!res.headersSent) {
-        res.json({
-          drive_id: videoId,
-          description: result.description,
-          cached: false,
-          modelUsed: result.modelUsed,
-          tokenUsage: result.tokenUsage
-        });
+      const { signal } = job.abortController;
+      const abortPromise = new Promise((_, reject) => {
+        if (signal.aborted) reject(signal.reason);
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      });
+
+      let result;
+      try {
+        result = await Promise.race([processingPromise, timeoutPromise, abortPromise]);
+      } catch (error) {
+        // El timeout también aborta la descarga, ffmpeg o la llamada al modelo en curso. Hasta
+        // que el análisis se detiene el job no libera su hueco ni se reintenta, para que no
+        // se solape con su reintento ni supere la concurrencia máxima
+        if (!signal.aborted) job.abortController.abort(error);
+        await processingPromise.catch(() => {});
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        delete job.extendDeadline;
       }
       
+      return {
+        drive_id: videoId,
+        profile,
+        description: result.description,
+        cached: false,
+        modelUsed: result.modelUsed,
+        tokenUsage: result.tokenUsage,
+        mediaMetadata: result.mediaMetadata,
+        chunks: result.chunks,
+        duplicateOf: result.duplicateOf
+      };
+      
     } catch (error) {
       console.error(`💥 Error en processVideo para ${videoId}:`, error.message);
       throw error;
     }
   }
 
-  async performVideoAnalysis(videoId) {
+  async performVideoAnalysis(job) {
+    const { videoId } = job;
+    const { signal } = job.abortController;
     let filePath;
+    let media;
     
     try {
-      // Descarga con timeout
-      console.log(`📥 Descargando video: ${videoId}`);
-      filePath = await Promise.race([
-        downloadVideoFromDrive(videoId),
+      const profile = await getProfile(job.profile);
+      if (!profile) {
+        throw new JobError(`Perfil de análisis no encontrado: ${job.profile}`, { code: 'PROFILE_NOT_FOUND', category: 'internal' });
+      }
+
+      // Si la fuente conoce el hash sin descargar (md5 de Drive), reutilizar una copia idéntica
+      // (salvo en un re-análisis forzado, que debe llamar al modelo)
+      const sourceHashes = job.force ? null : await probeVideoContentHash(videoId);
+      const knownDuplicate = sourceHashes && await findFreshDuplicate(sourceHashes, profile, videoId);
+      if (knownDuplicate) {
+        return linkDuplicateVideo(videoId, knownDuplicate, sourceHashes);
+      }
+
+      // Descarga con timeout; el plazo del job se amplía en lo que puede tardar, para que
+      // los videos grandes lleguen a analizarse
+      this.setJobStatus(job, JOB_STATUS.DOWNLOADING);
+      console.log(`📥 Descargando video: ${videoId}`);
+      if (job.extendDeadline) job.extendDeadline(DOWNLOAD_TIMEOUT);
+      let downloadTimer;
+      const download = await Promise.race([
+        downloadVideo(videoId, { signal }),
         new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Timeout en descarga')), 60000);
+          downloadTimer = setTimeout(() => reject(timeoutError('Timeout en descarga', 'DOWNLOAD_TIMEOUT')), DOWNLOAD_TIMEOUT);
         })
-      ]);
+      ]).finally(() => clearTimeout(downloadTimer));
+      filePath = download.filePath;
+      activeTempPaths.add(filePath);
       console.log(`✅ Video descargado: ${filePath}`);
+
+      // Hashes calculados durante la descarga: mismo contenido con otro ID
+      const contentHashes = { md5: download.md5, sha256: download.sha256 };
+      const duplicate = !job.force && await findFreshDuplicate(contentHashes, profile, videoId);
+      if (duplicate) {
+        return linkDuplicateVideo(videoId, duplicate, contentHashes);
+      }
       
-      // Análisis con timeout
-      console.log(`🤖 Iniciando análisis con Gemini para ${videoId}...`);
-      const analysisResult = await Promise.race([
-        getVideoDescription(filePath),
-        new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Timeout en análisis')), ANALYSIS_TIMEOUT - 60000);
-        })
-      ]);
+      // Metadatos reales del archivo (ffprobe) y preprocesamiento opcional con ffmpeg
+      signal.throwIfAborted();
+      const mediaMetadata = await probeMedia(filePath);
+      const preprocessOptions = { ...PREPROCESS_DEFAULTS, ...job.preprocess };
+      const modelChain = resolveModelChain(job.llm || {});
+      const chunks = planChunks(mediaMetadata, fs.statSync(filePath).size);
+
+      let analysisResult;
+      if (chunks) {
+        // Videos largos: cada fragmento se preprocesa y analiza por separado
+        analysisResult = await this.analyzeInChunks(job, filePath, chunks, { profile, preprocessOptions, modelChain });
+      } else {
+        if (preprocessOptions.mode !== 'off' || preprocessOptions.extractAudio) {
+          this.setJobStatus(job, JOB_STATUS.PREPROCESSING);
+        }
+        media = await preprocessVideo(filePath, preprocessOptions, mediaMetadata, signal);
+
+        // Análisis con timeout
+        this.setJobStatus(job, JOB_STATUS.ANALYZING);
+        console.log(`🤖 Iniciando análisis con Gemini para ${videoId}...`);
+        let analysisTimer;
+        analysisResult = await Promise.race([
+          getVideoDescription(media, profile, modelChain, { onAttempt: this.usageRecorder(job), signal }),
+          new Promise((_, reject) => {
+            analysisTimer = setTimeout(() => reject(timeoutError('Timeout en análisis', 'ANALYSIS_TIMEOUT')), ANALYSIS_TIMEOUT - 60000);
+          })
+        ]).finally(() => clearTimeout(analysisTimer));
+      }
       
       console.log(`✅ Análisis completado para ${videoId}`);
+
+      // La duración medida por ffprobe manda sobre la estimada por el modelo
+      analysisResult.description = applyMediaMetadata(analysisResult.description, mediaMetadata);
+      analysisResult.mediaMetadata = mediaMetadata;
+
+      // Un job cancelado no guarda resultado aunque el modelo ya haya respondido
+      signal.throwIfAborted();
       
-      // Guardar en BD
-      await insertVideo(videoId, analysisResult.description, analysisResult.tokenUsage);
+      // Guardar en BD; un análisis previo (forzado o caducado) se conserva en el historial
+      const previousVideo = await getVideoFromDB(videoId, profile.name);
+      await insertVideo(videoId, analysisResult.description, analysisResult.tokenUsage, {
+        ...contentHashes,
+        profile: profile.name,
+        modelUsed: analysisResult.modelUsed,
+        promptHash: hashProfile(profile),
+        mediaMetadata
+      });
+      await recordVideoRevision(videoId, profile.name, analysisResult.description, {
+        source: analysisResult.modelUsed,
+        previousDescription: isCachedAnalysis(previousVideo) ? previousVideo.description : null
+      });
       console.log(`💾 Video guardado en BD: ${videoId}`);
+
+      if (chunks) {
+        deleteJobChunks(job.id).catch(error => {
+          console.warn(`No se pudieron borrar los fragmentos del job ${job.id}:`, error.message);
+        });
+      }
       
       return analysisResult;
       
     } catch (error) {
       console.error(`❌ Error en análisis de ${videoId}:`, error.message);
+
+      // Respuesta irreparable: queda registrada como fallida para revisión, nunca como cache.
+      // Si el video ya tiene un análisis válido (re-análisis forzado o caducado) se conserva
+      // y el fallo queda solo en el job
+      if (error.invalidOutput) {
+        const { rawResponse, validationErrors, tokenUsage } = error.invalidOutput;
+        job.validationErrors = validationErrors;
+        try {
+          const previous = await getVideoFromDB(videoId, job.profile);
+          if (isCachedAnalysis(previous)) {
+            console.warn(`⚠️ Se conserva el análisis válido anterior de ${videoId} [${job.profile}]`);
+          } else {
+            await insertVideo(videoId, { error: error.message, raw_response: rawResponse }, tokenUsage, {
+              profile: job.profile,
+              status: VIDEO_STATUS.FAILED,
+              validationErrors
+            });
+          }
+        } catch (dbError) {
+          console.error(`Error guardando análisis fallido de ${videoId}:`, dbError.message);
+        }
+      }
       throw error;
     } finally {
       if (filePath) {
+        activeTempPaths.delete(filePath);
         cleanupTempFile(filePath);
       }
+      if (media && media.workDir) {
+        cleanupTempDir(media.workDir);
+      }
       
       // Forzar garbage collection
       if (global.gc) {
@@ -264,566 +1142,6289 @@ class ProcessingQueue {
     }
   }
 
-  getStatus() {
-    return {
-      queueLength: this.queue.length,
-      processingIds: Array.from(this.processingIds),
-      currentProcessing: currentProcessing,
-      maxConcurrent: MAX_CONCURRENT_REQUESTS,
-      retryAttempts: Object.fromEntries(this.retryAttempts)
+  // Callback para getVideoDescription que registra cada llamada al modelo del job
+  usageRecorder(job, chunkIndex = null) {
+    return (attempt) => {
+      insertUsageRecord({
+        jobId: job.id,
+        jobAttempt: job.attempts,
+        chunkIndex,
+        videoId: job.videoId,
+        profile: job.profile,
+        client: job.client,
+        apiKeyId: job.apiKeyId,
+        ...attempt
+      }).catch(error => {
+        console.error(`Error registrando consumo del job ${job.id}:`, error.message);
+      });
     };
   }
-}
 
-const processingQueue = new ProcessingQueue();
+  // Analiza un video largo fragmento a fragmento y combina los resultados. Los fragmentos
+  // ya analizados en un intento anterior del job (tabla job_chunks) no se repiten.
+  // `analysis` lleva { profile, preprocessOptions, modelChain }
+  async analyzeInChunks(job, filePath, chunks, analysis) {
+    const stored = new Map((await getJobChunks(job.id))
+      .filter(row => row.status === 'done')
+      .map(row => [row.chunk_index, row]));
 
-// Middleware
-app.use(express.json());
+    const progress = {
+      total: chunks.length,
+      done: 0,
+      current: null,
+      chunks: chunks.map(chunk => ({ index: chunk.index, start: chunk.start, end: chunk.end, status: 'pending', attempts: 0 }))
+    };
+    const results = [];
 
-// Middleware para configurar timeout en todas las respuestas
-app.use((req, res, next) => {
-  res.setTimeout(HTTP_TIMEOUT, () => {
-    console.log(`⏰ Timeout HTTP para ${req.method} ${req.path}`);
-    if (!res.headersSent) {
-      res.status(408).json({
-        error: 'Timeout de servidor',
-        timeout: HTTP_TIMEOUT / 1000
-      });
+    // Cada fragmento pendiente tiene su propio tiempo máximo (con reintentos)
+    const pending = chunks.filter(chunk => !isStoredChunk(stored.get(chunk.index), chunk)).length;
+    if (job.extendDeadline) {
+      job.extendDeadline(pending * CHUNKING.analysisTimeout * CHUNKING.maxAttempts);
     }
-  });
-  next();
-});
 
-// Inicializar base de datos
-const db = new sqlite3.Database('videos.db');
+    console.log(`✂️ Video ${job.videoId} dividido en ${chunks.length} fragmentos (${chunks.length - pending} ya analizados)`);
+    this.setJobStatus(job, JOB_STATUS.ANALYZING);
 
-// Crear tabla si no existe
-db.serialize(() => {
-  db.run(`
-  CREATE TABLE IF NOT EXISTS videos (
-    drive_id TEXT PRIMARY KEY,
-    description TEXT NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    token_usage TEXT
-  )
-  `);
+    for (const chunk of chunks) {
+      const chunkProgress = progress.chunks[chunk.index];
+      const row = stored.get(chunk.index);
 
-  // Agregar columna token_usage si no existe
-  db.run(`
-    ALTER TABLE videos ADD COLUMN token_usage TEXT
-  `, (err) => {
-    if (err && !err.message.includes('duplicate column name')) {
-      console.error('Error agregando columna token_usage:', err.message);
-    }
-  });
-});
+      if (isStoredChunk(row, chunk)) {
+        results.push({
+          ...chunk,
+          description: JSON.parse(row.description),
+          modelUsed: row.model_used,
+          tokenUsage: row.token_usage ? JSON.parse(row.token_usage) : null
+        });
+        chunkProgress.status = 'done';
+        chunkProgress.attempts = row.attempts;
+        progress.done++;
+        continue;
+      }
 
-// Configurar Google Drive API
-let drive;
-try {
-  const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT || '{}');
-  const auth = new google.auth.GoogleAuth({
-    credentials: serviceAccount,
-    scopes: ['https://www.googleapis.com/auth/drive.readonly']
-  });
-  drive = google.drive({ version: 'v3', auth });
-} catch (error) {
-  console.error('Error configurando Google Drive API:', error.message);
-}
+      progress.current = chunk.index;
+      chunkProgress.status = 'analyzing';
+      this.setJobProgress(job, progress);
 
-// Configurar Gemini AI
-let genAI;
-try {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-} catch (error) {
-  console.error('Error configurando Gemini AI:', error.message);
-}
+      results.push(await this.analyzeChunk(job, filePath, chunk, chunks.length, analysis, chunkProgress));
+      chunkProgress.status = 'done';
+      progress.done++;
+    }
 
-// Funciones de base de datos con promesas y timeout
-const getVideoFromDB = (driveId) => {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout en consulta de base de datos'));
-    }, 10000);
+    progress.current = null;
+    this.setJobProgress(job, progress);
 
-    db.get('SELECT * FROM videos WHERE drive_id = ?', [driveId], (err, row) => {
-      clearTimeout(timeout);
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
-};
+    return {
+      description: mergeChunkDescriptions(results, analysis.profile.schema),
+      modelUsed: mostFrequent(results.map(result => result.modelUsed)),
+      tokenUsage: results.reduce((total, result) => addTokenUsageTotals(total, result.tokenUsage), null),
+      chunks: chunks.length
+    };
+  }
 
-const insertVideo = (driveId, description, tokenUsage = null) => {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout en inserción de base de datos'));
-    }, 15000);
+  // Corta, preprocesa y analiza un fragmento; si falla se reintenta solo ese fragmento
+  async analyzeChunk(job, filePath, chunk, total, { profile, preprocessOptions, modelChain }, chunkProgress) {
+    const label = `${chunk.index + 1}/${total}`;
 
-    const tokenUsageJson = tokenUsage ? JSON.stringify(tokenUsage) : null;
-    const descriptionJson = typeof description === 'object' ? JSON.stringify(description) : description;
-    
-    db.run('INSERT INTO videos (drive_id, description, token_usage) VALUES (?, ?, ?)', [driveId, descriptionJson, tokenUsageJson], function (err) {
-      clearTimeout(timeout);
-      if (err) reject(err);
-      else resolve({ id: this.lastID, changes: this.changes });
-    });
-  });
-};
+    const { signal } = job.abortController;
 
-const getAllVideos = () => {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout en consulta de todos los videos'));
-    }, 30000);
+    for (let attempt = 1; ; attempt++) {
+      const chunkDir = fs.mkdtempSync(path.join(tmpDir, 'preprocess_'));
+      let media;
+      let chunkTimer;
+      chunkProgress.attempts++;
 
-    db.all('SELECT * FROM videos ORDER BY created_at DESC', [], (err, rows) => {
-      clearTimeout(timeout);
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
-};
+      // Cada intento tiene su propia señal: si vence su plazo se aborta la llamada al modelo
+      // en curso, que si no seguiría consumiendo tokens mientras se reintenta
+      const attemptController = new AbortController();
+      const attemptSignal = AbortSignal.any([signal, attemptController.signal]);
 
-const updateVideo = (description, driveId) => {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout en actualización de base de datos'));
-    }, 15000);
+      try {
+        console.log(`🧩 Analizando fragmento ${label} de ${job.videoId} (${formatDuration(chunk.start)}-${formatDuration(chunk.end)})`);
+        const chunkPath = await extractChunk(filePath, chunk, chunkDir, attemptSignal);
+        const chunkMetadata = await probeMedia(chunkPath);
+        media = await preprocessVideo(chunkPath, preprocessOptions, chunkMetadata, attemptSignal);
 
-    const descriptionJson = typeof description === 'object' ? JSON.stringify(description) : description;
-    db.run('UPDATE videos SET description = ? WHERE drive_id = ?', [descriptionJson, driveId], function (err) {
-      clearTimeout(timeout);
-      if (err) reject(err);
-      else resolve({ changes: this.changes });
-    });
-  });
-};
+        const chunkNote = `Este archivo es el fragmento ${label} de un video más largo ` +
+          `(de ${formatDuration(chunk.start)} a ${formatDuration(chunk.end)}). Describe solo este fragmento; ` +
+          'las marcas de tiempo y la duración se cuentan desde el inicio del fragmento.';
+        media.note = media.note ? `${chunkNote} ${media.note}` : chunkNote;
 
-const deleteVideo = (driveId) => {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout en eliminación de base de datos'));
-    }, 10000);
+        const result = await Promise.race([
+          getVideoDescription(media, profile, modelChain, { onAttempt: this.usageRecorder(job, chunk.index), signal: attemptSignal }),
+          new Promise((_, reject) => {
+            chunkTimer = setTimeout(() => {
+              const error = timeoutError('Timeout en análisis del fragmento', 'ANALYSIS_TIMEOUT');
+              attemptController.abort(error);
+              reject(error);
+            }, CHUNKING.analysisTimeout);
+          })
+        ]);
+        result.description = applyMediaMetadata(result.description, chunkMetadata);
 
-    db.run('DELETE FROM videos WHERE drive_id = ?', [driveId], function (err) {
-      clearTimeout(timeout);
-      if (err) reject(err);
-      else resolve({ changes: this.changes });
-    });
-  });
-};
+        await saveJobChunk(job.id, chunk, {
+          status: 'done',
+          description: result.description,
+          modelUsed: result.modelUsed,
+          tokenUsage: result.tokenUsage
+        });
+        return { ...chunk, ...result };
+      } catch (error) {
+        if (signal.aborted) {
+          throw error;
+        }
 
-// Función para descargar video de Google Drive con timeout
-async function downloadVideoFromDrive(videoId) {
-  if (!drive) {
-    throw new Error('Google Drive API no está configurada correctamente');
-  }
+        await saveJobChunk(job.id, chunk, { status: 'failed', error: error.message }).catch(dbError => {
+          console.error(`Error guardando fragmento ${label} del job ${job.id}:`, dbError.message);
+        });
 
-  try {
-    // Timeout para metadata
-    const fileMetadata = await Promise.race([
-      drive.files.get({
-        fileId: videoId,
-        fields: 'name, mimeType, size'
-      }),
-      new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Timeout obteniendo metadata')), 30000);
-      })
-    ]);
+        if (attempt >= CHUNKING.maxAttempts) {
+          chunkProgress.status = 'failed';
+          this.setJobProgress(job, job.progress);
+          error.message = `Fragmento ${label}: ${error.message}`;
+          throw error;
+        }
 
-    const fileName = fileMetadata.data.name || `video_${videoId}`;
-    const fileSize = parseInt(fileMetadata.data.size) || 0;
-    
-    // Verificar tamaño antes de descargar
-    if (fileSize > 500 * 1024 * 1024) { // 100MB límite
-      throw new Error(`Archivo demasiado grande: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
+        console.warn(`🔄 Fragmento ${label} de ${job.videoId} falló (${error.message}), reintentando (${attempt}/${CHUNKING.maxAttempts - 1})...`);
+        this.setJobProgress(job, job.progress);
+        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+      } finally {
+        clearTimeout(chunkTimer);
+        cleanupTempDir(chunkDir);
+        if (media && media.workDir) {
+          cleanupTempDir(media.workDir);
+        }
+      }
     }
+  }
 
-    const filePath = path.join('/tmp', `${videoId}_${Date.now()}_${fileName}`);
+  // Representación pública de un job para las respuestas HTTP
+  serializeJob(job) {
+    return {
+      jobId: job.id,
+      videoId: job.videoId,
+      profile: job.profile,
+      force: job.force,
+      preprocess: job.preprocess || undefined,
+      llm: job.llm || undefined,
+      client: job.client || undefined,
+      priority: job.priority,
+      status: job.status,
+      progress: job.progress || undefined,
+      position: this.getPosition(job),
+      attempts: job.attempts,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+      result: job.result,
+      error: job.error,
+      errorCode: job.errorCode || undefined,
+      errorCategory: job.errorCategory || undefined,
+      validationErrors: job.validationErrors || undefined,
+      deadLetteredAt: job.deadLetteredAt ? new Date(job.deadLetteredAt).toISOString() : undefined,
+      requeuedAs: job.requeuedAs || undefined,
+      cancelledBy: job.cancelledBy || undefined,
+      cancelReason: job.cancelReason || undefined,
+      callbackUrl: job.callbackUrl || null
+    };
+  }
 
-    // Timeout para descarga
-    const response = await Promise.race([
-      drive.files.get({
-        fileId: videoId,
-        alt: 'media'
-      }, { responseType: 'stream' }),
-      new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Timeout en descarga')), 120000);
-      })
-    ]);
+  getStatus() {
+    return {
+      queueLength: this.queue.length,
+      processingIds: Array.from(this.processingIds),
+      queuedProfiles: this.queue.reduce((counts, job) => {
+        counts[job.profile] = (counts[job.profile] || 0) + 1;
+        return counts;
+      }, {}),
+      queuedPriorities: this.queue.reduce((counts, job) => {
+        counts[job.priority] = (counts[job.priority] || 0) + 1;
+        return counts;
+      }, {}),
+      currentProcessing: currentProcessing,
+      maxConcurrent: this.concurrency.max,
+      modelConcurrency: Object.fromEntries(
+        Object.entries(this.concurrency.perModel).map(([model, limit]) => [model, { limit, active: this.activeModels.get(model) || 0 }])
+      ),
+      retryAttempts: Object.fromEntries(
+        this.queue.filter(job => job.attempts > 0).map(job => [job.videoId, job.attempts])
+      ),
+      chunkProgress: Object.fromEntries(
+        this.queue.filter(job => job.progress).map(job => [job.videoId, `${job.progress.done}/${job.progress.total}`])
+      ),
+      accepting: this.accepting,
+      paused: this.paused,
+      jobs: this.jobs.size
+    };
+  }
+}
 
-    // Guardar archivo con timeout
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Timeout guardando archivo'));
-      }, 120000);
-
-      const dest = fs.createWriteStream(filePath);
-      let downloadedBytes = 0;
-
-      response.data
-        .on('data', (chunk) => {
-          downloadedBytes += chunk.length;
-          // Log progreso cada 10MB
-          if (downloadedBytes % (10 * 1024 * 1024) < chunk.length) {
-            console.log(`📥 Descargado: ${(downloadedBytes / 1024 / 1024).toFixed(1)} MB`);
-          }
-        })
-        .on('end', () => {
-          clearTimeout(timeout);
-          console.log(`✅ Descarga completa: ${(downloadedBytes / 1024 / 1024).toFixed(2)} MB`);
-          resolve(filePath);
-        })
-        .on('error', (error) => {
-          clearTimeout(timeout);
-          cleanupTempFile(filePath);
-          reject(error);
-        })
-        .pipe(dest);
+// Entrega de webhooks cuando un job termina, con reintentos persistidos en SQLite
+class WebhookDispatcher {
+  constructor(queue) {
+    this.inFlight = new Set(); // IDs de entregas en curso
 
-      dest.on('error', (error) => {
-        clearTimeout(timeout);
-        cleanupTempFile(filePath);
-        reject(error);
+    queue.on('jobFinished', (job) => {
+      if (!job.callbackUrl) return;
+      this.enqueue(job).catch(error => {
+        console.error(`Error registrando webhook del job ${job.id}:`, error.message);
       });
     });
-  } catch (error) {
-    console.error('Error descargando video:', error.message);
-    throw new Error(`No se pudo descargar el video: ${error.message}`);
-  }
-}
 
-// Función para obtener descripción con Gemini con timeouts mejorados
-async function getVideoDescription(filePath) {
-  if (!genAI) {
-    throw new Error('Gemini AI no está configurada correctamente');
+    // Revisar entregas pendientes cada 5 segundos (incluye las de antes de un reinicio)
+    setInterval(() => this.processDue(), 5000);
   }
 
-  try {
-    const stats = fs.statSync(filePath);
-    const fileSizeInMB = stats.size / (1024 * 1024);
-    
-    console.log(`📊 Tamaño del archivo: ${fileSizeInMB.toFixed(2)} MB`);
-    
-    if (fileSizeInMB > 500) {
-      throw new Error(`Archivo demasiado grande (${fileSizeInMB.toFixed(2)} MB). Máximo: 50 MB`);
+  buildPayload(job) {
+    if (job.status === JOB_STATUS.DONE) {
+      return { ...job.result, jobId: job.id, status: job.status };
     }
 
-    const modelConfigs = [
-      { name: "gemini-2.5-flash", maxSizeMB: 500 },
-      { name: "gemini-2.5-pro", maxSizeMB: 30 }
-    ];
+    return {
+      drive_id: job.videoId,
+      jobId: job.id,
+      status: job.status,
+      error: job.error,
+      errorCode: job.errorCode || undefined,
+      attempts: job.attempts
+    };
+  }
+
+  async enqueue(job) {
+    const payload = JSON.stringify(this.buildPayload(job));
+    const secret = job.callbackSecret || WEBHOOK_SECRET;
+    const delivery = {
+      id: crypto.randomUUID(),
+      jobId: job.id,
+      url: job.callbackUrl,
+      event: `job.${job.status}`,
+      payload,
+      signature: secret ? signWebhookPayload(payload, secret) : null
+    };
 
-    const availableModels = modelConfigs.filter(config => fileSizeInMB <= config.maxSizeMB);
-    
-    if (availableModels.length === 0) {
-      throw new Error(`Archivo demasiado grande para todos los modelos (${fileSizeInMB.toFixed(2)} MB)`);
-    }
+    await createWebhookDelivery(delivery);
+    console.log(`📨 Webhook ${delivery.event} programado para job ${job.id} → ${job.callbackUrl}`);
+    setImmediate(() => this.processDue());
+  }
 
-    // Leer archivo
-    let videoBuffer;
+  async processDue() {
+    let deliveries;
     try {
-      videoBuffer = fs.readFileSync(filePath);
-    } catch (readError) {
-      throw new Error(`Error leyendo archivo: ${readError.message}`);
+      deliveries = await getDueWebhookDeliveries(Date.now());
+    } catch (error) {
+      console.error('Error consultando webhooks pendientes:', error.message);
+      return;
     }
 
-    const fileExtension = path.extname(filePath).toLowerCase();
-    let mimeType = 'video/mp4';
-
-    const mimeTypes = {
-      '.mp4': 'video/mp4',
-      '.avi': 'video/x-msvideo',
-      '.mov': 'video/quicktime',
-      '.wmv': 'video/x-ms-wmv',
-      '.webm': 'video/webm'
-    };
+    for (const delivery of deliveries) {
+      if (this.inFlight.has(delivery.id)) continue;
+      this.inFlight.add(delivery.id);
+      this.deliver(delivery)
+        .catch(error => console.error(`Error entregando webhook ${delivery.id}:`, error.message))
+        .finally(() => this.inFlight.delete(delivery.id));
+    }
+  }
 
-    mimeType = mimeTypes[fileExtension] || 'video/mp4';
+  async deliver(delivery) {
+    const attempt = delivery.attempts + 1;
+    const startedAt = Date.now();
+    let statusCode = null;
+    let errorMessage = null;
+    let forbidden = false;
 
-    const prompt = `Analiza este video y responde ÚNICAMENTE con JSON válido (sin markdown):
-    {
-      "texto_visible": "transcripción COMPLETA del texto visible" o false,
-      "musica_fondo": "descripción de la música" o false,
-      "objetos_presentes": "descripción de objetos" o false,
-      "personas": "descripción de personas" o false,
-      "acciones": "descripción de acciones" o false,
-      "colores_predominantes": "colores principales",
-      "ambiente_contexto": "descripción del ambiente",
-      "dialogo_narracion": "transcripción LITERAL del diálogo" o false,
-      "duracion_segundos": número_entero,
-      "duracion_formato": "formato legible (ej: '2:30')"
-    }`;
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.payload),
+        'User-Agent': 'video-analyzer-webhook',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id
+      };
+      if (delivery.signature) {
+        headers['X-Signature-256'] = `sha256=${delivery.signature}`;
+      }
 
-    // Intentar con cada modelo disponible
-    for (const modelConfig of availableModels) {
-      try {
-        console.log(`🤖 Probando ${modelConfig.name}...`);
-        
-        const model = genAI.getGenerativeModel({ model: modelConfig.name });
-        
-        // Análisis con timeout estricto
-        const analysisPromise = model.generateContent([
-          prompt,
-          {
-            inlineData: {
-              data: videoBuffer.toString('base64'),
-              mimeType: mimeType
-            }
-          }
-        ]);
-        
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
-            reject(new Error('Timeout en análisis con Gemini'));
-          }, 150000); // 2.5 minutos
-        });
-        
-        const result = await Promise.race([analysisPromise, timeoutPromise]);
-        const response = await result.response;
-        
-        // Liberar memoria inmediatamente
-        videoBuffer = null;
-        if (global.gc) global.gc();
-        
-        const usageMetadata = response.usageMetadata;
-        let description = response.text().trim();
-        
-        // Limpiar respuesta
-        description = description.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        
-        try {
-          description = JSON.parse(description);
-        } catch (jsonError) {
-          console.warn('Error parseando JSON:', jsonError.message);
-          description = {
-            error: 'JSON parsing failed',
-            raw_response: description.substring(0, 1000),
-            parsed_at: new Date().toISOString()
-          };
-        }
-        
-        return {
-          description,
-          modelUsed: modelConfig.name,
-          tokenUsage: {
-            promptTokens: usageMetadata?.promptTokenCount || 0,
-            candidatesTokens: usageMetadata?.candidatesTokenCount || 0,
-            totalTokens: usageMetadata?.totalTokenCount || 0
-          }
-        };
-        
-      } catch (error) {
-        console.warn(`❌ ${modelConfig.name} falló:`, error.message);
-        continue;
+      // Solo a direcciones públicas, comprobadas al conectar en cada intento
+      const response = await requestPublicUrl(new URL(delivery.url), {
+        method: 'POST',
+        headers,
+        body: delivery.payload,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+        allowedHosts: WEBHOOK_ALLOWED_HOSTS
+      });
+      response.resume();
+      statusCode = response.statusCode;
+      if (statusCode < 200 || statusCode >= 300) {
+        errorMessage = `HTTP ${statusCode}`;
       }
+    } catch (error) {
+      errorMessage = error.message;
+      forbidden = error.code === 'DOWNLOAD_FORBIDDEN';
     }
-    
-    throw new Error('Todos los modelos de Gemini fallaron');
-    
-  } catch (error) {
-    // Mapear errores comunes
-    if (error.message.includes('500')) {
-      throw new Error('Servidor de Gemini temporalmente no disponible');
-    } else if (error.message.includes('503')) {
-      throw new Error('Servicio de Gemini sobrecargado');
-    } else if (error.message.includes('403')) {
-      throw new Error('API key inválida o sin permisos');
-    } else if (error.message.includes('429')) {
-      throw new Error('Límite de cuota excedido');
+
+    await insertWebhookAttempt({
+      deliveryId: delivery.id,
+      attempt,
+      statusCode,
+      error: errorMessage,
+      durationMs: Date.now() - startedAt
+    });
+
+    if (!errorMessage) {
+      console.log(`✅ Webhook ${delivery.id} entregado (intento ${attempt})`);
+      return updateWebhookDelivery(delivery.id, { status: 'delivered', attempts: attempt });
     }
-    
-    throw error;
-  }
-}
+
+    // Una dirección no permitida no cambia al reintentar
+    if (attempt >= WEBHOOK_MAX_ATTEMPTS || forbidden) {
+      console.error(`❌ Webhook ${delivery.id} falló definitivamente tras ${attempt} intentos: ${errorMessage}`);
+      return updateWebhookDelivery(delivery.id, { status: 'failed', attempts: attempt });
+    }
+
+    // Backoff exponencial: 10s, 20s, 40s, ... hasta 10 minutos
+    const delay = Math.min(WEBHOOK_RETRY_BASE_DELAY * 2 ** (attempt - 1), 10 * 60 * 1000);
+    console.warn(`🔄 Webhook ${delivery.id} falló (${errorMessage}), reintento en ${delay / 1000}s`);
+    await updateWebhookDelivery(delivery.id, {
+      status: 'pending',
+      attempts: attempt,
+      nextAttemptAt: Date.now() + delay
+    });
+    // Sin esperar a la siguiente revisión periódica si el retraso es más corto
+    setTimeout(() => this.processDue(), delay).unref();
+  }
+}
+
+// Un registro solo sirve como cache si su análisis pasó la validación
+function isCachedAnalysis(video) {
+  return !!video && video.status !== VIDEO_STATUS.FAILED;
+}
+
+// Huella del prompt y el esquema de un perfil, para detectar cambios
+function hashProfile(profile) {
+  return crypto.createHash('sha256')
+    .update(profile.prompt)
+    .update(JSON.stringify(profile.schema))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// created_at de SQLite (UTC, 'YYYY-MM-DD HH:MM:SS') a milisegundos epoch
+function parseDbTimestamp(value) {
+  return new Date(`${String(value).replace(' ', 'T')}Z`).getTime();
+}
+
+// Lee una cadena de modelos "proveedor:modelo@MB,..." (proveedor y @MB opcionales)
+function parseModelChain(value) {
+  return String(value).split(',').map(spec => spec.trim()).filter(Boolean).map(spec => {
+    const [modelSpec, maxSizeMB] = spec.split('@');
+    return { ...parseModelSpec(modelSpec, null, []), maxSizeMB: parseFloat(maxSizeMB) || Infinity };
+  });
+}
+
+// "proveedor:modelo" o solo "modelo" (del proveedor indicado, del que lo tenga en la
+// cadena configurada o, si no, de Gemini)
+function parseModelSpec(spec, provider = null, chain = MODEL_CHAIN) {
+  const separator = spec.indexOf(':');
+  if (separator !== -1) {
+    return { provider: spec.slice(0, separator), name: spec.slice(separator + 1) };
+  }
+  const configured = chain.find(model => model.name === spec);
+  return { provider: provider || (configured ? configured.provider : DEFAULT_LLM_PROVIDER), name: spec };
+}
+
+// Identificador guardado en model_used; los modelos de Gemini conservan solo el nombre
+function formatModelId(model) {
+  return model.provider === DEFAULT_LLM_PROVIDER ? model.name : `${model.provider}:${model.name}`;
+}
+
+// Cadena de modelos de un job: la de configuración, la de un proveedor o la lista de la
+// petición. Lanza error con status 400 si nombra un proveedor que no existe.
+function resolveModelChain({ provider, models } = {}) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  if (provider !== undefined && provider !== null && !LLM_PROVIDERS[provider]) {
+    fail(`Proveedor desconocido: ${provider}. Opciones: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+
+  let chain;
+  if (models !== undefined && models !== null) {
+    const specs = (Array.isArray(models) ? models : String(models).split(','))
+      .map(spec => String(spec).trim())
+      .filter(Boolean);
+    if (specs.length === 0) {
+      fail('El campo models debe contener al menos un modelo');
+    }
+    // Los modelos de la configuración conservan su tamaño máximo
+    chain = specs.map(spec => {
+      const model = parseModelSpec(spec, provider);
+      return MODEL_CHAIN.find(entry => entry.provider === model.provider && entry.name === model.name) ||
+        { ...model, maxSizeMB: Infinity };
+    });
+  } else if (provider) {
+    chain = MODEL_CHAIN.filter(entry => entry.provider === provider);
+    if (chain.length === 0) {
+      chain = LLM_PROVIDERS[provider].defaultModels.map(name => ({ provider, name, maxSizeMB: Infinity }));
+    }
+  } else {
+    chain = MODEL_CHAIN;
+  }
+
+  const unknown = chain.find(entry => !LLM_PROVIDERS[entry.provider]);
+  if (unknown) {
+    fail(`Proveedor desconocido: ${unknown.provider}. Opciones: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+  }
+  return chain;
+}
+
+// Valida provider/models de una petición; null si usa la cadena por defecto.
+// Lanza error con status 400 si el proveedor no existe o no está configurado
+function parseModelOptions({ provider, models }) {
+  if ((provider === undefined || provider === '') && (models === undefined || models === '')) {
+    return null;
+  }
+
+  const options = {};
+  if (provider !== undefined && provider !== '') options.provider = String(provider);
+  if (models !== undefined && models !== '') options.models = models;
+
+  const chain = resolveModelChain(options);
+  const unconfigured = chain.find(entry => !LLM_PROVIDERS[entry.provider].configured);
+  if (unconfigured) {
+    const error = new Error(`Proveedor no configurado: ${unconfigured.provider}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { provider: options.provider, models: chain.map(entry => `${entry.provider}:${entry.name}`) };
+}
+
+// Motivo por el que un análisis guardado ya no se puede reutilizar según CACHE_POLICY,
+// o null si sigue vigente. Los registros sin modelo o sin huella del prompt (anteriores
+// a estas políticas) no se invalidan por esos criterios.
+async function getStaleReason(video, profile, { checkSource = true } = {}) {
+  const analyzedAt = parseDbTimestamp(video.created_at);
+
+  if (CACHE_POLICY.maxAgeMs > 0 && Date.now() - analyzedAt > CACHE_POLICY.maxAgeMs) {
+    return 'superó la antigüedad máxima';
+  }
+  if (CACHE_POLICY.onModelChange && video.model_used && !MODEL_CHAIN.some(model => formatModelId(model) === video.model_used)) {
+    return `el modelo ${video.model_used} ya no está configurado`;
+  }
+  if (CACHE_POLICY.onPromptChange && video.prompt_hash && video.prompt_hash !== hashProfile(profile)) {
+    return 'cambió el prompt o el esquema del perfil';
+  }
+  if (CACHE_POLICY.onSourceChange && checkSource) {
+    const modifiedAt = await getVideoModifiedTime(video.drive_id);
+    if (modifiedAt && modifiedAt > analyzedAt) {
+      return 'el archivo de origen se modificó después del análisis';
+    }
+  }
+  return null;
+}
+
+// Análisis guardado reutilizable para un video y perfil, o null si no existe,
+// falló o caducó según las políticas de cache
+async function getCachedAnalysis(videoId, profileName) {
+  const video = await getVideoFromDB(videoId, profileName);
+  if (!isCachedAnalysis(video)) {
+    return null;
+  }
+
+  const profile = await getProfile(profileName);
+  const staleReason = profile && await getStaleReason(video, profile);
+  if (staleReason) {
+    console.log(`♻️ Cache de ${videoId} [${profileName}] caducado: ${staleReason}`);
+    return null;
+  }
+  return video;
+}
+
+// Copia idéntica (otro video) ya analizada cuyo resultado sigue vigente; el contenido es
+// el mismo, así que no se consulta la fecha de modificación del origen
+async function findFreshDuplicate(contentHashes, profile, videoId) {
+  const duplicate = await findVideoByContentHash(contentHashes, profile.name, videoId);
+  if (!duplicate || await getStaleReason(duplicate, profile, { checkSource: false })) {
+    return null;
+  }
+  return duplicate;
+}
+
+// Respuesta de POST / para un video ya guardado en la base de datos
+function buildCachedResponse(existingVideo) {
+  let parsedDescription = existingVideo.description;
+  try {
+    parsedDescription = JSON.parse(existingVideo.description);
+  } catch (e) {
+    console.warn('Description no es JSON válido, manteniendo como string');
+  }
+
+  let tokenUsage = null;
+  if (existingVideo.token_usage) {
+    try {
+      tokenUsage = JSON.parse(existingVideo.token_usage);
+    } catch (e) {
+      console.warn('Error parseando token_usage:', e.message);
+    }
+  }
+
+  return {
+    drive_id: existingVideo.drive_id,
+    profile: existingVideo.profile,
+    description: parsedDescription,
+    cached: true,
+    tokenUsage: tokenUsage,
+    mediaMetadata: existingVideo.media_metadata ? JSON.parse(existingVideo.media_metadata) : undefined,
+    duplicateOf: existingVideo.duplicate_of || undefined
+  };
+}
+
+// Enlaza un video nuevo con la descripción ya guardada de otro de contenido idéntico,
+// sin volver a llamar a Gemini
+async function linkDuplicateVideo(videoId, original, contentHashes) {
+  console.log(`🔗 ${videoId} tiene el mismo contenido que ${original.drive_id}, reutilizando descripción`);
+
+  await insertVideo(videoId, original.description, null, {
+    profile: original.profile,
+    md5: contentHashes.md5 || original.content_md5,
+    sha256: contentHashes.sha256 || original.content_sha256,
+    duplicateOf: original.duplicate_of || original.drive_id,
+    modelUsed: original.model_used,
+    promptHash: original.prompt_hash,
+    mediaMetadata: original.media_metadata ? JSON.parse(original.media_metadata) : null
+  });
+
+  let description = original.description;
+  try {
+    description = JSON.parse(original.description);
+  } catch (e) {
+    // Mantener como string
+  }
+
+  return {
+    description,
+    modelUsed: null,
+    tokenUsage: null,
+    duplicateOf: original.duplicate_of || original.drive_id
+  };
+}
+
+// Firma HMAC-SHA256 (hex) del cuerpo exacto enviado en el webhook
+function signWebhookPayload(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Vigilancia de carpetas de Drive: re-escanea periódicamente y encola videos nuevos
+class FolderWatcher {
+  constructor() {
+    this.watches = new Map(); // folderId -> { folderId, recursive, intervalMs, timer, lastScanAt, scanning }
+  }
+
+  async restore() {
+    const rows = await getFolderWatchesFromDB();
+    rows.forEach(row => this.schedule({
+      folderId: row.folder_id,
+      profile: row.profile || DEFAULT_PROFILE,
+      recursive: !!row.recursive,
+      intervalMs: row.interval_ms,
+      lastScanAt: row.last_scan_at
+    }));
+
+    if (rows.length > 0) {
+      console.log(`👀 ${rows.length} carpetas vigiladas restauradas`);
+    }
+  }
+
+  async watch(folderId, { recursive, intervalMs, profile = DEFAULT_PROFILE }) {
+    await saveFolderWatch({ folderId, recursive, intervalMs, profile });
+    this.schedule({ folderId, recursive, intervalMs, profile, lastScanAt: Date.now() });
+    console.log(`👀 Vigilando carpeta ${folderId} cada ${intervalMs / 1000}s`);
+  }
+
+  async unwatch(folderId) {
+    const watch = this.watches.get(folderId);
+    if (watch) {
+      clearInterval(watch.timer);
+      this.watches.delete(folderId);
+    }
+
+    const result = await deleteFolderWatch(folderId);
+    return result.changes > 0 || !!watch;
+  }
+
+  schedule(config) {
+    const existing = this.watches.get(config.folderId);
+    if (existing) {
+      clearInterval(existing.timer);
+    }
+
+    const watch = { ...config, scanning: false };
+    watch.timer = setInterval(() => this.scan(watch), config.intervalMs);
+    this.watches.set(config.folderId, watch);
+  }
+
+  async scan(watch) {
+    // Evitar escaneos solapados si el anterior aún no terminó
+    if (watch.scanning) return;
+    watch.scanning = true;
+
+    try {
+      // Los videos que ya tuvieron un job (aunque fallara) no se re-encolan en cada escaneo
+      const summary = await analyzeDriveFolder(watch.folderId, {
+        recursive: watch.recursive,
+        profile: watch.profile,
+        skipKnownJobs: true
+      });
+      watch.lastScanAt = Date.now();
+      await touchFolderWatch(watch.folderId, watch.lastScanAt);
+
+      if (summary.enqueued.length > 0) {
+        console.log(`👀 Carpeta ${watch.folderId}: ${summary.enqueued.length} videos nuevos encolados`);
+      }
+    } catch (error) {
+      console.error(`Error escaneando carpeta vigilada ${watch.folderId}:`, error.message);
+    } finally {
+      watch.scanning = false;
+    }
+  }
+
+  list() {
+    return Array.from(this.watches.values()).map(watch => ({
+      folderId: watch.folderId,
+      profile: watch.profile,
+      recursive: watch.recursive,
+      intervalSeconds: watch.intervalMs / 1000,
+      lastScanAt: watch.lastScanAt ? new Date(watch.lastScanAt).toISOString() : null,
+      scanning: watch.scanning
+    }));
+  }
+}
+
+// Lista los videos de una carpeta de Drive, omite los ya analizados y encola el resto
+async function analyzeDriveFolder(folderId, { recursive = false, skipKnownJobs = false, profile = DEFAULT_PROFILE, priority = DEFAULT_JOB_PRIORITY } = {}) {
+  const files = await listDriveFolderVideos(folderId, recursive);
+  const ids = files.map(file => file.id);
+
+  const skipped = new Set(await getExistingVideoIds(ids, profile));
+  if (skipKnownJobs) {
+    (await getVideoIdsWithJobs(ids, profile)).forEach(id => skipped.add(id));
+  }
+
+  const enqueued = [];
+  for (const file of files) {
+    if (skipped.has(file.id)) continue;
+    const job = processingQueue.addOrMerge(file.id, { profile, priority, fairnessKey: `folder:${folderId}` });
+    enqueued.push({ videoId: file.id, name: file.name, jobId: job.id });
+  }
+
+  return { found: files.length, skipped: skipped.size, enqueued };
+}
+
+// API keys: autenticación por cabecera, scopes, límite de peticiones por minuto y cuota
+// de tokens por día o por mes (calculada con el tokenUsage de los jobs de cada clave)
+class ApiKeyManager {
+  constructor(adminKey) {
+    this.adminKeyHash = adminKey ? hashApiKey(adminKey) : null;
+    this.windows = new Map(); // keyId -> { start, count } de la ventana de un minuto en curso
+    this.lastUsed = new Map(); // keyId -> último registro de last_used_at
+  }
+
+  get enabled() {
+    return !!this.adminKeyHash;
+  }
+
+  // Crea una clave; la clave en claro solo se devuelve aquí
+  async issue({ name, scopes, rateLimit, tokenQuota, quotaPeriod }) {
+    const key = `vk_${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = {
+      id: crypto.randomUUID(),
+      name,
+      keyPrefix: key.slice(0, 10),
+      scopes,
+      rateLimit,
+      tokenQuota,
+      quotaPeriod
+    };
+    await insertApiKey({ ...apiKey, keyHash: hashApiKey(key) });
+    console.log(`🔑 API key creada: ${name} (${apiKey.keyPrefix}…) [${scopes.join(', ')}]`);
+    return { ...apiKey, key };
+  }
+
+  // Devuelve la clave activa que corresponde al valor recibido, o null
+  async authenticate(key) {
+    const keyHash = hashApiKey(key);
+
+    // La clave de ADMIN_API_KEY no está en la base de datos y no tiene límites
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+      return { id: 'admin', name: 'admin', scopes: ['admin'], rateLimit: null, tokenQuota: null };
+    }
+
+    const row = await getApiKeyByHash(keyHash);
+    if (!row || row.revoked_at) {
+      return null;
+    }
+
+    // last_used_at se actualiza como mucho una vez por minuto
+    const now = Date.now();
+    if (now - (this.lastUsed.get(row.id) || 0) > 60000) {
+      this.lastUsed.set(row.id, now);
+      touchApiKey(row.id).catch(error => {
+        console.warn(`No se pudo actualizar el uso de la API key ${row.id}:`, error.message);
+      });
+    }
+    return apiKeyFromRow(row);
+  }
+
+  // Cuenta una petición en la ventana de un minuto de la clave
+  consumeRateLimit(apiKey) {
+    if (!apiKey.rateLimit) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    let window = this.windows.get(apiKey.id);
+    if (!window || now - window.start >= 60000) {
+      window = { start: now, count: 0 };
+      this.windows.set(apiKey.id, window);
+    }
+
+    const resetAt = window.start + 60000;
+    if (window.count >= apiKey.rateLimit) {
+      return { allowed: false, limit: apiKey.rateLimit, remaining: 0, resetAt };
+    }
+    window.count++;
+    return { allowed: true, limit: apiKey.rateLimit, remaining: apiKey.rateLimit - window.count, resetAt };
+  }
+
+  // Tokens consumidos en el periodo actual de la cuota y cuándo se reinicia
+  async getQuotaUsage(apiKey) {
+    const { start, resetAt } = getQuotaPeriod(apiKey.quotaPeriod);
+    const used = await getApiKeyTokenUsage(apiKey.id, start);
+    return {
+      period: apiKey.quotaPeriod,
+      quota: apiKey.tokenQuota,
+      used,
+      remaining: apiKey.tokenQuota ? Math.max(apiKey.tokenQuota - used, 0) : null,
+      resetsAt: new Date(resetAt).toISOString()
+    };
+  }
+}
+
+const processingQueue = new ProcessingQueue();
+const webhookDispatcher = new WebhookDispatcher(processingQueue);
+const folderWatcher = new FolderWatcher();
+const apiKeys = new ApiKeyManager(ADMIN_API_KEY);
+
+// Los archivos subidos se eliminan cuando su job termina (con éxito o sin más reintentos)
+processingQueue.on('jobFinished', (job) => {
+  const { source, locator } = parseVideoKey(job.videoId);
+  if (source === 'upload') {
+    removeUploadedFile(locator);
+  }
+});
+
+// Middleware
+app.use(express.json());
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Inicio del periodo de cuota actual (UTC) y del siguiente
+function getQuotaPeriod(period) {
+  const now = new Date();
+  if (period === 'day') {
+    const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    return { start, resetAt: start + 24 * 60 * 60 * 1000 };
+  }
+  return {
+    start: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1),
+    resetAt: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+  };
+}
+
+// La clave se envía en X-API-Key o como "Authorization: Bearer <clave>"
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Exige una API key con alguno de los scopes indicados ('admin' los incluye todos) y
+// aplica su límite de peticiones por minuto. Sin ADMIN_API_KEY no se exige nada.
+function requireScope(...scopes) {
+  return async (req, res, next) => {
+    if (!apiKeys.enabled) {
+      return next();
+    }
+
+    const key = readApiKey(req);
+    if (!key) {
+      return res.status(401).json({
+        error: 'Falta la API key (cabecera X-API-Key)'
+      });
+    }
+
+    try {
+      const apiKey = await apiKeys.authenticate(key);
+      if (!apiKey) {
+        return res.status(401).json({
+          error: 'API key inválida o revocada'
+        });
+      }
+
+      if (!apiKey.scopes.includes('admin') && !scopes.some(scope => apiKey.scopes.includes(scope))) {
+        return res.status(403).json({
+          error: `La API key no tiene permiso para esta operación (requiere ${scopes.join(' o ')})`,
+          scopes: apiKey.scopes
+        });
+      }
+
+      const rate = apiKeys.consumeRateLimit(apiKey);
+      if (rate.limit) {
+        res.set('X-RateLimit-Limit', String(rate.limit));
+        res.set('X-RateLimit-Remaining', String(rate.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(rate.resetAt / 1000)));
+      }
+      if (!rate.allowed) {
+        res.set('Retry-After', String(Math.max(Math.ceil((rate.resetAt - Date.now()) / 1000), 1)));
+        return res.status(429).json({
+          error: `Límite de ${rate.limit} peticiones por minuto superado`
+        });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      console.error('Error autenticando API key:', error.message);
+      res.status(500).json({
+        error: `Error autenticando API key: ${error.message}`
+      });
+    }
+  };
+}
+
+// Rechaza nuevos análisis si la clave agotó su cuota de tokens del periodo
+async function enforceTokenQuota(req, res, next) {
+  if (!req.apiKey || !req.apiKey.tokenQuota) {
+    return next();
+  }
+
+  try {
+    const usage = await apiKeys.getQuotaUsage(req.apiKey);
+    if (usage.used >= usage.quota) {
+      res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(usage.resetsAt) - Date.now()) / 1000), 1)));
+      return res.status(429).json({
+        error: 'Cuota de tokens agotada',
+        ...usage
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error consultando cuota de tokens:', error.message);
+    res.status(500).json({
+      error: `Error consultando cuota de tokens: ${error.message}`
+    });
+  }
+}
+
+const readAccess = requireScope('read');
+const analyzeAccess = [requireScope('analyze'), enforceTokenQuota];
+const jobAccess = requireScope('read', 'analyze'); // Quien encola puede consultar sus jobs
+const adminAccess = requireScope('admin');
+const cancelAccess = requireScope('analyze'); // Sus propios jobs; admin, cualquiera
+
+// Middleware para configurar timeout en todas las respuestas
+app.use((req, res, next) => {
+  res.setTimeout(HTTP_TIMEOUT, () => {
+    console.log(`⏰ Timeout HTTP para ${req.method} ${req.path}`);
+    if (!res.headersSent) {
+      res.status(408).json({
+        error: 'Timeout de servidor',
+        timeout: HTTP_TIMEOUT / 1000
+      });
+    }
+  });
+  next();
+});
+
+// Inicializar base de datos
+const db = new sqlite3.Database('videos.db');
+
+// Agrega una columna a una tabla existente ignorando el error si ya existe
+function addColumnIfMissing(table, columnDefinition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Error agregando columna ${columnDefinition} a ${table}:`, err.message);
+    }
+  });
+}
+
+// Bases de datos anteriores a los perfiles tienen drive_id como única clave primaria;
+// se reconstruye la tabla con clave (drive_id, profile) y los registros quedan en 'default'.
+// El índice de GET /videos usa profile, así que se crea aquí y no antes de migrar.
+function migrateVideosToProfiles(callback) {
+  db.all('PRAGMA table_info(videos)', (err, columns) => {
+    if (err) return callback(err);
+    if (columns.some(column => column.name === 'profile')) {
+      // Orden por defecto de GET /videos y su cursor
+      return db.run('CREATE INDEX IF NOT EXISTS idx_videos_created_at ON videos (created_at, drive_id, profile)', callback);
+    }
+
+    console.log('🔧 Migrando tabla videos a clave (drive_id, profile)...');
+    db.exec(`
+      BEGIN TRANSACTION;
+      CREATE TABLE videos_new (
+        drive_id TEXT NOT NULL,
+        profile TEXT NOT NULL DEFAULT 'default',
+        description TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        token_usage TEXT,
+        content_md5 TEXT,
+        content_sha256 TEXT,
+        duplicate_of TEXT,
+        status TEXT NOT NULL DEFAULT 'ok',
+        validation_errors TEXT,
+        model_used TEXT,
+        prompt_hash TEXT,
+        media_metadata TEXT,
+        PRIMARY KEY (drive_id, profile)
+      );
+      INSERT INTO videos_new (drive_id, profile, description, created_at, token_usage, content_md5, content_sha256, duplicate_of)
+        SELECT drive_id, 'default', description, created_at, token_usage, content_md5, content_sha256, duplicate_of FROM videos;
+      DROP TABLE videos;
+      ALTER TABLE videos_new RENAME TO videos;
+      CREATE INDEX IF NOT EXISTS idx_videos_content_md5 ON videos (content_md5);
+      CREATE INDEX IF NOT EXISTS idx_videos_content_sha256 ON videos (content_sha256);
+      CREATE INDEX IF NOT EXISTS idx_videos_created_at ON videos (created_at, drive_id, profile);
+      COMMIT;
+    `, callback);
+  });
+}
+
+// Crear tabla si no existe
+db.serialize(() => {
+  db.run(`
+  CREATE TABLE IF NOT EXISTS videos (
+    drive_id TEXT NOT NULL,
+    profile TEXT NOT NULL DEFAULT 'default',
+    description TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    token_usage TEXT,
+    content_md5 TEXT,
+    content_sha256 TEXT,
+    duplicate_of TEXT,
+    status TEXT NOT NULL DEFAULT 'ok',
+    validation_errors TEXT,
+    model_used TEXT,
+    prompt_hash TEXT,
+    media_metadata TEXT,
+    PRIMARY KEY (drive_id, profile)
+  )
+  `);
+
+  // Agregar columna token_usage si no existe
+  addColumnIfMissing('videos', 'token_usage TEXT');
+
+  // Hashes del contenido para reutilizar análisis de copias idénticas
+  addColumnIfMissing('videos', 'content_md5 TEXT');
+  addColumnIfMissing('videos', 'content_sha256 TEXT');
+  addColumnIfMissing('videos', 'duplicate_of TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS idx_videos_content_md5 ON videos (content_md5)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_videos_content_sha256 ON videos (content_sha256)');
+
+  // Resultado de la validación contra el esquema del perfil
+  addColumnIfMissing('videos', "status TEXT NOT NULL DEFAULT 'ok'");
+  addColumnIfMissing('videos', 'validation_errors TEXT');
+
+  // Modelo y huella del prompt con que se generó, para las políticas de cache
+  addColumnIfMissing('videos', 'model_used TEXT');
+  addColumnIfMissing('videos', 'prompt_hash TEXT');
+
+  // Duración, códecs y resolución medidos con ffprobe
+  addColumnIfMissing('videos', 'media_metadata TEXT');
+
+  // Perfiles de análisis: prompt y JSON schema de la respuesta
+  db.run(`
+  CREATE TABLE IF NOT EXISTS profiles (
+    name TEXT PRIMARY KEY,
+    description TEXT,
+    prompt TEXT NOT NULL,
+    schema TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+  `);
+
+  db.run('INSERT OR IGNORE INTO profiles (name, description, prompt, schema) VALUES (?, ?, ?, ?)', [
+    DEFAULT_PROFILE,
+    'Descripción general del video (texto, música, objetos, personas, diálogo y duración)',
+    DEFAULT_PROFILE_PROMPT,
+    JSON.stringify(DEFAULT_PROFILE_SCHEMA)
+  ]);
+
+  db.run('INSERT OR IGNORE INTO profiles (name, description, prompt, schema) VALUES (?, ?, ?, ?)', [
+    SEGMENTS_PROFILE,
+    'Escenas y diálogos con marcas de tiempo (subtítulos SRT/WebVTT)',
+    SEGMENTS_PROFILE_PROMPT,
+    JSON.stringify(SEGMENTS_PROFILE_SCHEMA)
+  ]);
+
+  // Cola persistente de jobs (tiempos en milisegundos epoch)
+  db.run(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    video_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    result TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    available_at INTEGER NOT NULL,
+    started_at INTEGER,
+    finished_at INTEGER
+  )
+  `);
+
+  addColumnIfMissing('jobs', 'callback_url TEXT');
+  addColumnIfMissing('jobs', 'callback_secret TEXT');
+  addColumnIfMissing('jobs', "profile TEXT NOT NULL DEFAULT 'default'");
+  addColumnIfMissing('jobs', 'force INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing('jobs', 'preprocess TEXT');
+  addColumnIfMissing('jobs', 'progress TEXT');
+  addColumnIfMissing('jobs', 'llm TEXT');
+  addColumnIfMissing('jobs', 'api_key_id TEXT'); // Clave que encoló el job (permisos y registro de consumo)
+  addColumnIfMissing('jobs', 'client TEXT'); // Identificador de cliente indicado por quien llama
+  addColumnIfMissing('jobs', `priority TEXT NOT NULL DEFAULT '${DEFAULT_JOB_PRIORITY}'`);
+  addColumnIfMissing('jobs', 'fairness_key TEXT'); // Lote o cliente con el que reparte turnos
+  addColumnIfMissing('jobs', 'pin INTEGER'); // Posición fijada por un administrador (reorder)
+  addColumnIfMissing('jobs', 'cancelled_by TEXT');
+  addColumnIfMissing('jobs', 'cancel_reason TEXT');
+  addColumnIfMissing('jobs', 'error_code TEXT');
+  addColumnIfMissing('jobs', 'error_category TEXT');
+  addColumnIfMissing('jobs', 'validation_errors TEXT'); // Errores de esquema del último intento
+  addColumnIfMissing('jobs', 'dead_lettered_at INTEGER'); // Falló sin más reintentos
+  addColumnIfMissing('jobs', 'requeued_as TEXT'); // Job creado al volver a encolarlo
+
+  // Cada llamada a un modelo (análisis o reparación, con éxito o no) y los tokens que consumió
+  db.run(`
+  CREATE TABLE IF NOT EXISTS usage_records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT,
+    job_attempt INTEGER,
+    chunk_index INTEGER,
+    video_id TEXT,
+    profile TEXT,
+    kind TEXT NOT NULL,
+    model TEXT NOT NULL,
+    client TEXT,
+    api_key_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    candidates_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_usage_records_created_at ON usage_records (created_at)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_usage_records_api_key ON usage_records (api_key_id, created_at)');
+
+  // Resultado de cada fragmento de un video largo, para no repetirlos si el job se reintenta
+  db.run(`
+  CREATE TABLE IF NOT EXISTS job_chunks (
+    job_id TEXT NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    start_seconds REAL NOT NULL,
+    end_seconds REAL NOT NULL,
+    status TEXT NOT NULL,
+    description TEXT,
+    model_used TEXT,
+    token_usage TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (job_id, chunk_index)
+  )
+  `);
+
+  // Entregas de webhooks y cada intento realizado
+  db.run(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    signature TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME
+  )
+  `);
+
+  db.run(`
+  CREATE TABLE IF NOT EXISTS webhook_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_id TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries (job_id)');
+
+  // Lotes de videos y sus elementos (job_id NULL si se respondió desde cache)
+  db.run(`
+  CREATE TABLE IF NOT EXISTS batches (
+    id TEXT PRIMARY KEY,
+    total INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+  `);
+
+  addColumnIfMissing('batches', "profile TEXT NOT NULL DEFAULT 'default'");
+
+  db.run(`
+  CREATE TABLE IF NOT EXISTS folder_watches (
+    folder_id TEXT PRIMARY KEY,
+    recursive INTEGER NOT NULL DEFAULT 0,
+    interval_ms INTEGER NOT NULL,
+    last_scan_at INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+  `);
+
+  addColumnIfMissing('folder_watches', "profile TEXT NOT NULL DEFAULT 'default'");
+
+  db.run(`
+  CREATE TABLE IF NOT EXISTS batch_items (
+    batch_id TEXT NOT NULL,
+    video_id TEXT NOT NULL,
+    job_id TEXT,
+    cached INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (batch_id, video_id)
+  )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_jobs_dead_letter ON jobs (dead_lettered_at)');
+
+  // API keys: solo se guarda el hash SHA-256 de la clave
+  db.run(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    rate_limit INTEGER,
+    token_quota INTEGER,
+    quota_period TEXT NOT NULL DEFAULT 'month',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME
+  )
+  `);
+
+  // Índice de búsqueda de texto completo sobre los campos de la descripción
+  db.run(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS videos_fts USING fts5(
+    drive_id UNINDEXED,
+    profile UNINDEXED,
+    ${SEARCH_FIELDS.join(',\n    ')},
+    tokenize = 'unicode61 remove_diacritics 2'
+  )
+  `, (err) => {
+    if (err) console.error('Error creando índice de búsqueda (¿SQLite sin FTS5?):', err.message);
+  });
+
+  // Segmentos con marcas de tiempo (escenas y diálogos) extraídos de la descripción,
+  // con su propio índice de texto completo sincronizado por triggers
+  db.run(`
+  CREATE TABLE IF NOT EXISTS video_segments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    drive_id TEXT NOT NULL,
+    profile TEXT NOT NULL DEFAULT 'default',
+    kind TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    start_seconds REAL NOT NULL,
+    end_seconds REAL NOT NULL,
+    speaker TEXT,
+    text TEXT NOT NULL
+  )
+  `);
+
+  db.run('CREATE INDEX IF NOT EXISTS idx_video_segments_video ON video_segments (drive_id, profile, kind, position)');
+
+  db.run(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS video_segments_fts USING fts5(
+    text,
+    speaker,
+    content = 'video_segments',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  )
+  `, (err) => {
+    if (err) console.error('Error creando índice de segmentos (¿SQLite sin FTS5?):', err.message);
+  });
+
+  db.run(`
+  CREATE TRIGGER IF NOT EXISTS video_segments_ai AFTER INSERT ON video_segments BEGIN
+    INSERT INTO video_segments_fts (rowid, text, speaker) VALUES (new.id, new.text, new.speaker);
+  END
+  `);
+
+  db.run(`
+  CREATE TRIGGER IF NOT EXISTS video_segments_ad AFTER DELETE ON video_segments BEGIN
+    INSERT INTO video_segments_fts (video_segments_fts, rowid, text, speaker) VALUES ('delete', old.id, old.text, old.speaker);
+  END
+  `);
+
+  // Historial de cada descripción: generaciones del modelo y ediciones manuales
+  db.run(`
+  CREATE TABLE IF NOT EXISTS video_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    drive_id TEXT NOT NULL,
+    profile TEXT NOT NULL DEFAULT 'default',
+    revision INTEGER NOT NULL,
+    description TEXT NOT NULL,
+    source TEXT NOT NULL,
+    author TEXT,
+    diff TEXT,
+    restored_from INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (drive_id, profile, revision)
+  )
+  `);
+
+  // Restaurar trabajo pendiente solo cuando el esquema está al día
+  migrateVideosToProfiles((err) => {
+    if (err) {
+      console.error('Error migrando tabla videos:', err.message);
+      return;
+    }
+
+    // Antes de la validación, las respuestas no parseables se guardaban como si fueran válidas
+    db.run(`UPDATE videos SET status = 'failed'
+      WHERE status = 'ok' AND description LIKE '%"error":"JSON parsing failed"%'`, function (updateErr) {
+      if (updateErr) {
+        console.error('Error marcando análisis inválidos:', updateErr.message);
+      } else if (this.changes > 0) {
+        console.log(`⚠️ ${this.changes} análisis con JSON inválido marcados como fallidos`);
+      }
+
+      // Con los fallidos ya marcados, indexar para búsqueda lo que falte
+      backfillSearchIndex().catch(error => {
+        console.error('Error indexando videos para búsqueda:', error.message);
+      });
+    });
+    processingQueue.restorePendingJobs().catch(error => {
+      console.error('Error restaurando jobs pendientes:', error.message);
+    });
+    folderWatcher.restore().catch(error => {
+      console.error('Error restaurando carpetas vigiladas:', error.message);
+    });
+  });
+});
+
+// Configurar Google Drive API
+let drive;
+try {
+  const serviceAccount = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT || '{}');
+  const auth = new google.auth.GoogleAuth({
+    credentials: serviceAccount,
+    scopes: ['https://www.googleapis.com/auth/drive.readonly']
+  });
+  drive = google.drive({ version: 'v3', auth });
+} catch (error) {
+  console.error('Error configurando Google Drive API:', error.message);
+}
+
+// Cliente de la File API de Gemini: sube el video por streaming (subida resumible),
+// espera a que quede ACTIVE y lo elimina después. Usa fetch contra baseUrl, por lo que
+// puede apuntarse a un servidor local que imite la API.
+class GeminiFileClient {
+  constructor(apiKey, baseUrl) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'x-goog-api-key': this.apiKey, ...options.headers },
+      signal: AbortSignal.timeout(options.timeout || 30000)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw Object.assign(new Error(`File API respondió ${response.status}: ${body.substring(0, 200)}`), {
+        httpStatus: response.status
+      });
+    }
+    return response;
+  }
+
+  async upload(filePath, mimeType, displayName) {
+    const { size } = await fs.promises.stat(filePath);
+
+    // 1. Iniciar subida resumible
+    const start = await this.request(`${this.baseUrl}/upload/v1beta/files`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(size),
+        'X-Goog-Upload-Header-Content-Type': mimeType
+      },
+      body: JSON.stringify({ file: { display_name: displayName } })
+    });
+
+    const uploadUrl = start.headers.get('x-goog-upload-url');
+    if (!uploadUrl) {
+      throw new Error('File API no devolvió URL de subida');
+    }
+
+    // 2. Enviar el contenido en streaming y finalizar
+    const upload = await this.request(uploadUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Length': String(size),
+        'X-Goog-Upload-Offset': '0',
+        'X-Goog-Upload-Command': 'upload, finalize'
+      },
+      body: fs.createReadStream(filePath),
+      duplex: 'half',
+      timeout: DOWNLOAD_TIMEOUT
+    });
+
+    const { file } = await upload.json();
+    return file;
+  }
+
+  async get(name) {
+    const response = await this.request(`${this.baseUrl}/v1beta/${name}`);
+    return response.json();
+  }
+
+  // Los videos pasan por PROCESSING antes de poder usarse en generateContent
+  async waitUntilActive(name, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const file = await this.get(name);
+      if (file.state === 'ACTIVE') return file;
+      if (file.state === 'FAILED') {
+        throw new Error(`Gemini no pudo procesar el archivo ${name}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    throw timeoutError(`Timeout esperando a que Gemini procese ${name}`, 'MODEL_TIMEOUT');
+  }
+
+  async delete(name) {
+    await this.request(`${this.baseUrl}/v1beta/${name}`, { method: 'DELETE' });
+  }
+}
+
+// Configurar almacenamiento S3 compatible (opcional)
+let s3Client;
+try {
+  if (process.env.S3_ACCESS_KEY_ID) {
+    s3Client = new S3Client({
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      region: process.env.S3_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    });
+  }
+} catch (error) {
+  console.error('Error configurando S3:', error.message);
+}
+
+// Proveedores de modelos de visión. Todos exponen la misma interfaz:
+//   configured                          → true si tiene credenciales
+//   defaultModels                       → modelos a usar si la petición solo indica el proveedor
+//   prepareMedia(files)                 → archivos listos para generate() (inline, subidos...)
+//   releaseMedia(prepared)              → libera lo creado por prepareMedia
+//   generate(model, prompt, prepared, { profile }) → { text, tokenUsage }
+// En las peticiones de reparación prepared es null (solo se envía texto).
+class GeminiProvider {
+  constructor(apiKey, baseUrl) {
+    this.name = 'gemini';
+    this.configured = !!apiKey;
+    this.defaultModels = ['gemini-2.5-flash'];
+    this.requestOptions = baseUrl ? { baseUrl } : {};
+    this.client = new GoogleGenerativeAI(apiKey);
+    this.files = new GeminiFileClient(apiKey, baseUrl || 'https://generativelanguage.googleapis.com');
+  }
+
+  // Archivos pequeños van inline en base64; los grandes se suben a la File API
+  // y se referencian por URI para no cargar el video entero en memoria
+  async prepareMedia(files) {
+    const sizeMB = files.reduce((total, file) => total + file.size, 0) / (1024 * 1024);
+
+    if (sizeMB <= GEMINI_INLINE_MAX_MB) {
+      try {
+        return {
+          uploaded: [],
+          parts: files.map(file => ({
+            inlineData: { data: fs.readFileSync(file.path).toString('base64'), mimeType: file.mimeType }
+          }))
+        };
+      } catch (readError) {
+        throw new Error(`Error leyendo archivo: ${readError.message}`);
+      }
+    }
+
+    console.log(`☁️ Subiendo video a la File API de Gemini (${sizeMB.toFixed(2)} MB)...`);
+    const prepared = { uploaded: [], parts: [] };
+    try {
+      for (const file of files) {
+        const uploadedFile = await this.files.upload(file.path, file.mimeType, path.basename(file.path));
+        prepared.uploaded.push(uploadedFile);
+        await this.files.waitUntilActive(uploadedFile.name, GEMINI_FILE_PROCESSING_TIMEOUT);
+        prepared.parts.push({ fileData: { fileUri: uploadedFile.uri, mimeType: uploadedFile.mimeType || file.mimeType } });
+      }
+    } catch (error) {
+      this.releaseMedia(prepared);
+      throw error;
+    }
+    console.log(`☁️ ${prepared.uploaded.length} archivo(s) listos en Gemini`);
+    return prepared;
+  }
+
+  // Los archivos subidos a la File API se borran siempre tras el análisis
+  releaseMedia(prepared) {
+    for (const uploadedFile of prepared.uploaded) {
+      this.files.delete(uploadedFile.name).catch(error => {
+        console.warn(`No se pudo eliminar ${uploadedFile.name} de Gemini:`, error.message);
+      });
+    }
+    prepared.parts = null;
+  }
+
+  async generate(modelName, prompt, prepared, { signal = null } = {}) {
+    const model = this.client.getGenerativeModel({ model: modelName }, this.requestOptions);
+    const result = await model.generateContent(prepared ? [prompt, ...prepared.parts] : prompt, signal ? { signal } : {});
+    const response = await result.response;
+    return {
+      text: response.text(),
+      tokenUsage: addTokenUsage(null, response.usageMetadata)
+    };
+  }
+}
+
+// Proveedor determinista para pruebas y desarrollo sin red. Responde con el JSON de
+// MOCK_FIXTURES_DIR/<sha256 del primer archivo>.json o <perfil>.json si existe y, si no,
+// con valores generados a partir del esquema del perfil (siempre los mismos para el
+// mismo archivo). El modelo 'mock-invalid' responde texto que no es JSON, para probar
+// la reparación y los análisis fallidos, 'mock-unavailable' falla como un HTTP 503, para
+// probar el paso al siguiente modelo y los reintentos, y 'mock-slow' no responde hasta que
+// se aborta la llamada (cancelaciones y timeouts). Solo con LLM_ENABLE_MOCK=true.
+class MockProvider {
+  constructor(fixturesDir, enabled) {
+    this.name = 'mock';
+    this.configured = enabled;
+    this.defaultModels = ['mock-1'];
+    this.fixturesDir = fixturesDir;
+  }
+
+  async prepareMedia(files) {
+    const hashes = [];
+    for (const file of files) {
+      hashes.push(await hashFile(file.path));
+    }
+    return { hashes };
+  }
+
+  releaseMedia() {}
+
+  async generate(modelName, prompt, prepared, { profile, signal = null } = {}) {
+    if (signal) signal.throwIfAborted();
+    if (modelName === 'mock-unavailable') {
+      throw Object.assign(new Error('Servicio mock no disponible'), { status: 503 });
+    }
+    if (modelName === 'mock-slow') {
+      return new Promise((_, reject) => {
+        if (!signal) return;
+        signal.addEventListener('abort', () => {
+          console.log('🧪 Llamada a mock-slow abortada');
+          reject(signal.reason);
+        }, { once: true });
+      });
+    }
+    const seed = prepared ? prepared.hashes.join(':') : crypto.createHash('sha256').update(prompt).digest('hex');
+
+    let text;
+    if (modelName === 'mock-invalid') {
+      text = 'Respuesta de prueba sin JSON';
+    } else {
+      const fixture = prepared && this.readFixture([prepared.hashes[0], profile && profile.name]);
+      text = fixture || JSON.stringify(buildMockValue(profile ? profile.schema : { type: 'object' }, null, seed));
+    }
+
+    // Uso de tokens aproximado: 4 caracteres por token y 258 por archivo adjunto
+    const promptTokens = Math.ceil(prompt.length / 4) + 258 * (prepared ? prepared.hashes.length : 0);
+    const candidatesTokens = Math.ceil(text.length / 4);
+    return {
+      text,
+      tokenUsage: { promptTokens, candidatesTokens, totalTokens: promptTokens + candidatesTokens }
+    };
+  }
+
+  readFixture(names) {
+    if (!this.fixturesDir) {
+      return null;
+    }
+    for (const name of names.filter(Boolean)) {
+      const fixturePath = path.join(this.fixturesDir, `${path.basename(name)}.json`);
+      if (fs.existsSync(fixturePath)) {
+        return fs.readFileSync(fixturePath, 'utf8');
+      }
+    }
+    return null;
+  }
+}
+
+// Configurar proveedores (GEMINI_BASE_URL permite apuntar a un servidor local de pruebas)
+const LLM_PROVIDERS = {
+  gemini: new GeminiProvider(process.env.GEMINI_API_KEY, GEMINI_BASE_URL),
+  mock: new MockProvider(MOCK_FIXTURES_DIR, LLM_ENABLE_MOCK)
+};
+
+// Funciones de base de datos con promesas y timeout
+const getVideoFromDB = (driveId, profile = DEFAULT_PROFILE) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de base de datos'));
+    }, 10000);
+
+    db.get('SELECT * FROM videos WHERE drive_id = ? AND profile = ?', [driveId, profile], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+// Reemplaza un registro previo del mismo video y perfil (p. ej. un análisis fallido)
+const insertVideo = (driveId, description, tokenUsage = null, {
+  profile = DEFAULT_PROFILE, md5 = null, sha256 = null, duplicateOf = null,
+  status = VIDEO_STATUS.OK, validationErrors = null, modelUsed = null, promptHash = null, createdAt = null,
+  mediaMetadata = null
+} = {}) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en inserción de base de datos'));
+    }, 15000);
+
+    const tokenUsageJson = tokenUsage ? JSON.stringify(tokenUsage) : null;
+    const descriptionJson = typeof description === 'object' ? JSON.stringify(description) : description;
+    
+    const validationErrorsJson = validationErrors ? JSON.stringify(validationErrors) : null;
+    
+    db.run(`INSERT OR REPLACE INTO videos
+      (drive_id, profile, description, token_usage, content_md5, content_sha256, duplicate_of, status, validation_errors,
+       model_used, prompt_hash, media_metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+      [driveId, profile, descriptionJson, tokenUsageJson, md5, sha256, duplicateOf, status, validationErrorsJson,
+        modelUsed, promptHash, mediaMetadata ? JSON.stringify(mediaMetadata) : null, createdAt], function (err) {
+        clearTimeout(timeout);
+        if (err) return reject(err);
+
+        // Los análisis fallidos no se indexan
+        const result = { id: this.lastID, changes: this.changes };
+        syncDerivedVideoData(driveId, profile, status === VIDEO_STATUS.OK ? descriptionJson : null)
+          .then(() => resolve(result));
+      });
+  });
+};
+
+// Busca un video ya analizado con el mismo perfil y el mismo contenido (md5 o sha256),
+// excluyendo opcionalmente el propio video (re-análisis)
+const findVideoByContentHash = ({ md5 = null, sha256 = null }, profile = DEFAULT_PROFILE, excludeId = null) => {
+  if (!md5 && !sha256) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta por hash de contenido'));
+    }, 10000);
+
+    db.get(`SELECT * FROM videos WHERE (content_md5 = ? OR content_sha256 = ?) AND profile = ? AND status = 'ok'
+      AND drive_id IS NOT ? ORDER BY created_at ASC LIMIT 1`, [md5, sha256, profile, excludeId], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+// Recorre todas las páginas de una consulta de videos con el cursor, sin cargar la
+// tabla entera en memoria
+async function* iterateVideos(options, pageSize = EXPORT_PAGE_SIZE) {
+  let cursor = null;
+  do {
+    const page = await listVideos({ ...options, cursor, limit: pageSize });
+    yield* page.rows;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+// Columnas de la descripción para CSV/XLSX: las propiedades de los schemas de los
+// perfiles exportados, en orden; lo que no esté en el schema va a 'otros_campos' (JSON)
+async function getExportDescriptionColumns(profileName) {
+  const profiles = profileName ? [await getProfile(profileName)].filter(Boolean) : await getAllProfiles();
+  const columns = [];
+  for (const profile of profiles) {
+    for (const key of Object.keys(profile.schema.properties || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+// Fila plana de un video: metadatos, un campo de la descripción por columna y el resto en JSON
+function flattenVideoForExport(video, descriptionColumns) {
+  const serialized = serializeVideoRow(video);
+  const description = serialized.description;
+  const row = {
+    drive_id: video.drive_id,
+    profile: video.profile,
+    created_at: video.created_at,
+    status: video.status,
+    model_used: video.model_used,
+    duplicate_of: video.duplicate_of,
+    content_sha256: video.content_sha256,
+    total_tokens: serialized.tokenUsage ? serialized.tokenUsage.totalTokens : null
+  };
+
+  const extra = {};
+  if (description && typeof description === 'object' && !Array.isArray(description)) {
+    for (const [key, value] of Object.entries(description)) {
+      if (!descriptionColumns.includes(key)) extra[key] = value;
+    }
+  } else if (description !== null && description !== undefined) {
+    extra.description = description;
+  }
+
+  for (const key of descriptionColumns) {
+    const value = description && typeof description === 'object' ? description[key] : undefined;
+    row[`description.${key}`] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }
+  row.otros_campos = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+  return row;
+}
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escribe en la respuesta respetando la contrapresión del socket
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => res.once('drain', resolve));
+}
+
+// Valor de un campo de la descripción en SQL (NULL si la descripción no es JSON)
+function descriptionFieldSql(field) {
+  return `(CASE WHEN json_valid(description) THEN json_extract(description, '$.${field}') END)`;
+}
+
+// Expresiones de orden de GET /videos; nunca NULL para que el cursor compare bien
+const VIDEO_SORT_EXPRESSIONS = {
+  created_at: 'created_at',
+  drive_id: 'drive_id',
+  duracion_segundos: `COALESCE(${descriptionFieldSql('duracion_segundos')}, -1)`
+};
+
+// Cursor opaco: valor de orden y clave (drive_id, profile) del último video de la página
+function encodeVideoCursor(row) {
+  return Buffer.from(JSON.stringify([row.sort_value, row.drive_id, row.profile])).toString('base64url');
+}
+
+function decodeVideoCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === 3) return values;
+  } catch (e) {
+    // Cursor inválido
+  }
+  const error = new Error('Cursor inválido');
+  error.status = 400;
+  throw error;
+}
+
+// Convierte una fecha ISO al formato de created_at (UTC, 'YYYY-MM-DD HH:MM:SS')
+function toDbTimestamp(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`El parámetro ${name} debe ser una fecha válida`);
+    error.status = 400;
+    throw error;
+  }
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// created_at importado: el formato de SQLite se conserva tal cual, el resto se trata como ISO
+function parseImportTimestamp(value) {
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? text : toDbTimestamp(text, 'created_at');
+}
+
+function parseNumberParam(value, name) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    const error = new Error(`El parámetro ${name} debe ser un número`);
+    error.status = 400;
+    throw error;
+  }
+  return number;
+}
+
+// Traduce los parámetros de GET /videos (filtros, orden, cursor, límite y campos) a una
+// consulta; lanza errores con status 400 si algún parámetro no es válido
+function parseVideoListQuery(query) {
+  const where = [];
+  const params = [];
+
+  if (query.profile) {
+    where.push('profile = ?');
+    params.push(String(query.profile));
+  }
+  if (query.created_from) {
+    where.push('created_at >= ?');
+    params.push(toDbTimestamp(query.created_from, 'created_from'));
+  }
+  if (query.created_to) {
+    where.push('created_at <= ?');
+    params.push(toDbTimestamp(query.created_to, 'created_to'));
+  }
+  if (query.model) {
+    where.push('model_used = ?');
+    params.push(String(query.model));
+  }
+  if (query.status) {
+    if (!Object.values(VIDEO_STATUS).includes(query.status)) {
+      const error = new Error(`Estado inválido: ${query.status}. Opciones: ${Object.values(VIDEO_STATUS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    where.push('status = ?');
+    params.push(query.status);
+  }
+  if (query.has_dialogue === 'true' || query.has_dialogue === 'false') {
+    const hasDialogue = `COALESCE(CASE WHEN json_valid(description) THEN
+      json_type(description, '$.dialogo_narracion') = 'text' AND TRIM(json_extract(description, '$.dialogo_narracion')) != ''
+      END, 0)`;
+    where.push(query.has_dialogue === 'true' ? hasDialogue : `NOT ${hasDialogue}`);
+  }
+  if (query.min_duration !== undefined) {
+    where.push(`${descriptionFieldSql('duracion_segundos')} >= ?`);
+    params.push(parseNumberParam(query.min_duration, 'min_duration'));
+  }
+  if (query.max_duration !== undefined) {
+    where.push(`${descriptionFieldSql('duracion_segundos')} <= ?`);
+    params.push(parseNumberParam(query.max_duration, 'max_duration'));
+  }
+
+  // sort=campo (ascendente) o sort=-campo (descendente)
+  const sort = String(query.sort || '-created_at');
+  const descending = sort.startsWith('-');
+  const sortField = sort.replace(/^[-+]/, '');
+  if (!VIDEO_SORT_EXPRESSIONS[sortField]) {
+    const error = new Error(`Orden inválido: ${sortField}. Opciones: ${Object.keys(VIDEO_SORT_EXPRESSIONS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const fields = query.fields ? String(query.fields).split(',').map(field => field.trim()).filter(Boolean) : null;
+  const unknownFields = (fields || []).filter(field => !VIDEO_LIST_FIELDS.includes(field) && !field.startsWith('description.'));
+  if (unknownFields.length > 0) {
+    const error = new Error(`Campos desconocidos: ${unknownFields.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_VIDEO_PAGE_SIZE : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_VIDEO_PAGE_SIZE) {
+    const error = new Error(`El parámetro limit debe estar entre 1 y ${MAX_VIDEO_PAGE_SIZE}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    where,
+    params,
+    sortExpression: VIDEO_SORT_EXPRESSIONS[sortField],
+    descending,
+    cursor: query.cursor ? decodeVideoCursor(String(query.cursor)) : null,
+    limit,
+    fields
+  };
+}
+
+// Una página de videos ordenada por la expresión pedida y (drive_id, profile) como
+// desempate; el cursor continúa justo después del último video de la página anterior
+const listVideos = ({ where = [], params = [], sortExpression = 'created_at', descending = true, cursor = null, limit = DEFAULT_VIDEO_PAGE_SIZE }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de videos'));
+    }, 30000);
+
+    const conditions = [...where];
+    const queryParams = [...params];
+    const direction = descending ? 'DESC' : 'ASC';
+
+    if (cursor) {
+      conditions.push(`(${sortExpression}, drive_id, profile) ${descending ? '<' : '>'} (?, ?, ?)`);
+      queryParams.push(...cursor);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    db.all(`SELECT *, ${sortExpression} AS sort_value FROM videos ${whereClause}
+      ORDER BY sort_value ${direction}, drive_id ${direction}, profile ${direction}
+      LIMIT ?`, [...queryParams, limit + 1], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) return reject(err);
+
+      // Se pide una fila de más para saber si hay otra página
+      const hasMore = rows.length > limit;
+      const page = hasMore ? rows.slice(0, limit) : rows;
+      resolve({
+        rows: page,
+        nextCursor: hasMore ? encodeVideoCursor(page[page.length - 1]) : null
+      });
+    });
+  });
+};
+
+// Representación JSON de un video del listado, opcionalmente limitada a ciertos campos
+// ('description.<campo>' elige campos sueltos de la descripción)
+function serializeVideoRow(video, fields = null) {
+  let description = video.description;
+  try {
+    description = JSON.parse(video.description);
+  } catch (e) {
+    // Mantener como string si no es JSON válido
+  }
+
+  let tokenUsage = null;
+  if (video.token_usage) {
+    try {
+      tokenUsage = JSON.parse(video.token_usage);
+    } catch (e) {
+      console.warn(`Error parseando token_usage para ${video.drive_id}`);
+    }
+  }
+
+  const full = {
+    ...video,
+    description,
+    tokenUsage,
+    token_usage: undefined,
+    sort_value: undefined,
+    validation_errors: video.validation_errors ? JSON.parse(video.validation_errors) : null,
+    media_metadata: video.media_metadata ? JSON.parse(video.media_metadata) : null
+  };
+
+  if (!fields) {
+    return full;
+  }
+
+  const projected = {};
+  for (const field of fields) {
+    if (field.startsWith('description.')) {
+      const key = field.slice('description.'.length);
+      projected.description = projected.description || {};
+      projected.description[key] = description && typeof description === 'object' ? description[key] : undefined;
+    } else {
+      projected[field] = full[field];
+    }
+  }
+  return projected;
+}
+
+const updateVideo = (description, driveId, profile = DEFAULT_PROFILE) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en actualización de base de datos'));
+    }, 15000);
+
+    const descriptionJson = typeof description === 'object' ? JSON.stringify(description) : description;
+    // Una descripción corregida a mano deja de contar como análisis fallido
+    db.run(`UPDATE videos SET description = ?, status = 'ok', validation_errors = NULL
+      WHERE drive_id = ? AND profile = ?`, [descriptionJson, driveId, profile], function (err) {
+      clearTimeout(timeout);
+      if (err) return reject(err);
+
+      const result = { changes: this.changes };
+      if (result.changes === 0) return resolve(result);
+      syncDerivedVideoData(driveId, profile, descriptionJson).then(() => resolve(result));
+    });
+  });
+};
+
+const deleteVideo = (driveId, profile = DEFAULT_PROFILE) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en eliminación de base de datos'));
+    }, 10000);
+
+    db.run('DELETE FROM videos WHERE drive_id = ? AND profile = ?', [driveId, profile], function (err) {
+      clearTimeout(timeout);
+      if (err) return reject(err);
+
+      const result = { changes: this.changes };
+      syncDerivedVideoData(driveId, profile, null).then(() => resolve(result));
+    });
+  });
+};
+
+// Texto plano de un valor de la descripción (false/null no aportan texto)
+function descriptionValueToText(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(descriptionValueToText).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, item]) => {
+        const text = descriptionValueToText(item);
+        return text ? `${key}: ${text}` : '';
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+  return String(value);
+}
+
+// Reparte una descripción guardada entre las columnas del índice de búsqueda
+function descriptionToSearchColumns(descriptionJson) {
+  let description;
+  try {
+    description = JSON.parse(descriptionJson);
+  } catch (e) {
+    description = descriptionJson;
+  }
+
+  const columns = Object.fromEntries(SEARCH_FIELDS.map(field => [field, '']));
+  if (description === null || typeof description !== 'object' || Array.isArray(description)) {
+    columns.otros = descriptionValueToText(description);
+    return columns;
+  }
+
+  const others = {};
+  for (const [key, value] of Object.entries(description)) {
+    if (key !== 'otros' && SEARCH_FIELDS.includes(key)) {
+      columns[key] = descriptionValueToText(value);
+    } else {
+      others[key] = value;
+    }
+  }
+  columns.otros = descriptionValueToText(others);
+  return columns;
+}
+
+// Reemplaza la entrada de un video en el índice de búsqueda (null = solo borrarla).
+// Nunca rechaza: un fallo del índice no debe impedir guardar el video.
+const syncSearchIndex = (driveId, profile, descriptionJson) => {
+  return new Promise((resolve) => {
+    const done = (err) => {
+      if (err) console.error(`Error actualizando índice de búsqueda de ${driveId}:`, err.message);
+      resolve();
+    };
+
+    db.serialize(() => {
+      db.run('DELETE FROM videos_fts WHERE drive_id = ? AND profile = ?', [driveId, profile], (err) => {
+        if (err || descriptionJson === null) done(err);
+      });
+
+      if (descriptionJson !== null) {
+        const columns = descriptionToSearchColumns(descriptionJson);
+        db.run(`INSERT INTO videos_fts (drive_id, profile, ${SEARCH_FIELDS.join(', ')})
+          VALUES (?, ?, ${SEARCH_FIELDS.map(() => '?').join(', ')})`,
+          [driveId, profile, ...SEARCH_FIELDS.map(field => columns[field])], done);
+      }
+    });
+  });
+};
+
+// Segmentos con marcas de tiempo de una descripción ('escenas' y 'dialogos');
+// se descartan los que no tienen tiempos numéricos o texto
+function extractSegments(descriptionJson) {
+  let description;
+  try {
+    description = JSON.parse(descriptionJson);
+  } catch (e) {
+    return [];
+  }
+  if (!description || typeof description !== 'object') {
+    return [];
+  }
+
+  const segments = [];
+  const collect = (items, kind, textField) => {
+    if (!Array.isArray(items)) return;
+    items.forEach((item, position) => {
+      const start = Number(item && item.inicio);
+      let end = Number(item && item.fin);
+      const text = item && typeof item[textField] === 'string' ? item[textField].trim() : '';
+      if (!Number.isFinite(start) || !text) return;
+      // Un segmento sin fin válido dura al menos un segundo
+      if (!Number.isFinite(end) || end <= start) end = start + 1;
+      const speaker = kind === SEGMENT_KINDS.DIALOGUE && typeof item.hablante === 'string' ? item.hablante : null;
+      segments.push({ kind, position, start, end, speaker, text });
+    });
+  };
+
+  collect(description.escenas, SEGMENT_KINDS.SCENE, 'descripcion');
+  collect(description.dialogos, SEGMENT_KINDS.DIALOGUE, 'texto');
+  return segments;
+}
+
+// Reemplaza los segmentos guardados de un video (null = solo borrarlos). Igual que el
+// índice de búsqueda, nunca rechaza.
+const syncVideoSegments = (driveId, profile, descriptionJson) => {
+  const segments = descriptionJson === null ? [] : extractSegments(descriptionJson);
+
+  return new Promise((resolve) => {
+    let pending = 1 + Math.ceil(segments.length / 100);
+    let failed = false;
+    const done = (err) => {
+      if (err && !failed) {
+        failed = true;
+        console.error(`Error guardando segmentos de ${driveId}:`, err.message);
+      }
+      if (--pending === 0) resolve();
+    };
+
+    db.serialize(() => {
+      db.run('DELETE FROM video_segments WHERE drive_id = ? AND profile = ?', [driveId, profile], done);
+
+      // Insertar por bloques para no superar el límite de parámetros de SQLite
+      for (let offset = 0; offset < segments.length; offset += 100) {
+        const chunk = segments.slice(offset, offset + 100);
+        db.run(`INSERT INTO video_segments (drive_id, profile, kind, position, start_seconds, end_seconds, speaker, text)
+          VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+          chunk.flatMap(segment => [
+            driveId, profile, segment.kind, segment.position, segment.start, segment.end, segment.speaker, segment.text
+          ]), done);
+      }
+    });
+  });
+};
+
+// Índices derivados de la descripción: búsqueda de texto completo y segmentos
+const syncDerivedVideoData = (driveId, profile, descriptionJson) => {
+  return Promise.all([
+    syncSearchIndex(driveId, profile, descriptionJson),
+    syncVideoSegments(driveId, profile, descriptionJson)
+  ]);
+};
+
+const getVideoSegments = (driveId, profile, kind = null) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de segmentos'));
+    }, 10000);
+
+    const kindFilter = kind ? 'AND kind = ?' : '';
+    const params = kind ? [driveId, profile, kind] : [driveId, profile];
+
+    db.all(`SELECT kind, position, start_seconds, end_seconds, speaker, text FROM video_segments
+      WHERE drive_id = ? AND profile = ? ${kindFilter}
+      ORDER BY start_seconds ASC, kind ASC, position ASC`, params, (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Búsqueda de texto completo en los segmentos, con su video y marcas de tiempo
+const searchVideoSegments = (match, { profile = null, kind = null, limit = 20, offset = 0 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en búsqueda de segmentos'));
+    }, 15000);
+
+    const filters = [];
+    const params = [match];
+    if (profile) {
+      filters.push('AND s.profile = ?');
+      params.push(profile);
+    }
+    if (kind) {
+      filters.push('AND s.kind = ?');
+      params.push(kind);
+    }
+
+    db.all(`
+      SELECT s.drive_id, s.profile, s.kind, s.position, s.start_seconds, s.end_seconds, s.speaker,
+      bm25(video_segments_fts) AS rank,
+      highlight(video_segments_fts, 0, '<mark>', '</mark>') AS highlighted
+      FROM video_segments_fts
+      JOIN video_segments s ON s.id = video_segments_fts.rowid
+      WHERE video_segments_fts MATCH ? ${filters.join(' ')}
+      ORDER BY rank
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Indexa los videos que aún no están en el índice (bases de datos anteriores a la búsqueda)
+const backfillSearchIndex = () => {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT v.drive_id, v.profile, v.description FROM videos v
+      WHERE v.status = 'ok' AND NOT EXISTS (
+        SELECT 1 FROM videos_fts f WHERE f.drive_id = v.drive_id AND f.profile = v.profile
+      )`, async (err, rows) => {
+      if (err) return reject(err);
+
+      for (const row of rows) {
+        await syncSearchIndex(row.drive_id, row.profile, row.description);
+      }
+      if (rows.length > 0) {
+        console.log(`🔎 ${rows.length} videos agregados al índice de búsqueda`);
+      }
+      resolve(rows.length);
+    });
+  });
+};
+
+// Convierte el texto del usuario en una consulta FTS5 segura: cada palabra o "frase"
+// entre comillas es un término obligatorio, 'OR' se respeta y 'palabra*' busca por prefijo
+function buildSearchMatch(query, fields) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) terms.push(`"${phrase}"`);
+      continue;
+    }
+
+    const word = match[2];
+    if (word === 'OR') {
+      if (terms.length > 0 && terms[terms.length - 1] !== 'OR') terms.push('OR');
+      continue;
+    }
+    const prefix = word.endsWith('*');
+    const clean = word.replace(/["*]/g, '');
+    if (clean) terms.push(`"${clean}"${prefix ? '*' : ''}`);
+  }
+
+  if (terms[terms.length - 1] === 'OR') terms.pop();
+  if (terms.length === 0) return null;
+
+  const expression = terms.join(' ');
+  return fields.length > 0 ? `{${fields.join(' ')}} : (${expression})` : expression;
+}
+
+// Búsqueda por relevancia (bm25) con fragmento resaltado y resaltado por campo
+const searchVideos = (match, { profile = null, limit = 20, offset = 0 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en búsqueda'));
+    }, 15000);
+
+    const profileFilter = profile ? 'AND f.profile = ?' : '';
+    const params = profile ? [match, profile] : [match];
+    const highlights = SEARCH_FIELDS
+      .map((field, index) => `highlight(videos_fts, ${index + 2}, '<mark>', '</mark>') AS hl_${field}`)
+      .join(',\n        ');
+
+    db.get(`SELECT COUNT(*) AS total FROM videos_fts f WHERE videos_fts MATCH ? ${profileFilter}`, params, (err, countRow) => {
+      if (err) {
+        clearTimeout(timeout);
+        return reject(err);
+      }
+
+      db.all(`
+        SELECT f.drive_id, f.profile, bm25(videos_fts) AS rank,
+        snippet(videos_fts, -1, '<mark>', '</mark>', '…', 16) AS snippet,
+        ${highlights},
+        v.description, v.created_at
+        FROM videos_fts f
+        JOIN videos v ON v.drive_id = f.drive_id AND v.profile = f.profile
+        WHERE videos_fts MATCH ? ${profileFilter}
+        ORDER BY rank
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset], (err, rows) => {
+        clearTimeout(timeout);
+        if (err) reject(err);
+        else resolve({ total: countRow.total, rows });
+      });
+    });
+  });
+};
+
+// Diferencias campo a campo entre dos descripciones (JSON o texto)
+function diffDescriptions(before, after) {
+  const parse = (value) => {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  };
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const previous = parse(before);
+  const next = parse(after);
+
+  if (!isObject(previous) || !isObject(next)) {
+    return JSON.stringify(previous) === JSON.stringify(next) ? [] : [{ field: null, before: previous, after: next }];
+  }
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...fields]
+    .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .map(field => ({ field, before: previous[field], after: next[field] }));
+}
+
+// Funciones de base de datos para el historial de descripciones
+const getVideoRevisions = (driveId, profile = DEFAULT_PROFILE) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de revisiones'));
+    }, 10000);
+
+    db.all('SELECT * FROM video_revisions WHERE drive_id = ? AND profile = ? ORDER BY revision DESC', [driveId, profile], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const getVideoRevision = (driveId, profile, revision) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de revisión'));
+    }, 10000);
+
+    db.get('SELECT * FROM video_revisions WHERE drive_id = ? AND profile = ? AND revision = ?', [driveId, profile, revision], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+// El número de revisión se calcula en la misma sentencia del INSERT, así que dos escrituras
+// simultáneas (edición manual y análisis, por ejemplo) no chocan con UNIQUE(drive_id,
+// profile, revision). Con onlyIfEmpty solo se inserta si el video no tiene historial;
+// resuelve con la revisión creada o null si no se insertó
+const insertVideoRevision = (driveId, profile, descriptionJson, { source, author = null, diff = null, restoredFrom = null, onlyIfEmpty = false }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando revisión'));
+    }, 10000);
+
+    db.run(`INSERT INTO video_revisions (drive_id, profile, revision, description, source, author, diff, restored_from)
+      SELECT ?, ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?
+      FROM video_revisions WHERE drive_id = ? AND profile = ?
+      ${onlyIfEmpty ? 'HAVING COUNT(*) = 0' : ''}`,
+      [driveId, profile, descriptionJson, source, author, diff ? JSON.stringify(diff) : null, restoredFrom, driveId, profile], function (err) {
+        if (err) {
+          clearTimeout(timeout);
+          return reject(err);
+        }
+        if (this.changes === 0) {
+          clearTimeout(timeout);
+          return resolve(null);
+        }
+        db.get('SELECT revision FROM video_revisions WHERE rowid = ?', [this.lastID], (getErr, row) => {
+          clearTimeout(timeout);
+          if (getErr) reject(getErr);
+          else resolve({ revision: row.revision });
+        });
+      });
+  });
+};
+
+// Registra una nueva revisión con su diff respecto a la anterior. Si el video aún no
+// tiene historial (registros previos a las revisiones), `previousDescription` se guarda
+// primero como revisión de origen desconocido para no perder la salida original.
+const recordVideoRevision = async (driveId, profile, description, { source, author = null, restoredFrom = null, previousDescription = null } = {}) => {
+  const descriptionJson = typeof description === 'object' ? JSON.stringify(description) : description;
+  const [latest] = await getVideoRevisions(driveId, profile);
+  let previous = latest ? latest.description : null;
+
+  if (!latest && previousDescription !== null) {
+    await insertVideoRevision(driveId, profile, previousDescription, { source: 'legacy', onlyIfEmpty: true });
+    previous = previousDescription;
+  }
+
+  return insertVideoRevision(driveId, profile, descriptionJson, {
+    source,
+    author,
+    restoredFrom,
+    diff: previous === null ? null : diffDescriptions(previous, descriptionJson)
+  });
+};
+
+// Funciones de base de datos para perfiles de análisis (schema se guarda como JSON)
+const profileFromRow = (row) => {
+  if (!row) return null;
+
+  let schema = null;
+  try {
+    schema = JSON.parse(row.schema);
+  } catch (e) {
+    console.warn(`Schema inválido en perfil ${row.name}`);
+  }
+
+  return {
+    name: row.name,
+    description: row.description,
+    prompt: row.prompt,
+    schema,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+};
+
+const getProfile = (name) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de perfil'));
+    }, 10000);
+
+    db.get('SELECT * FROM profiles WHERE name = ?', [name], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(profileFromRow(row));
+    });
+  });
+};
+
+const getAllProfiles = () => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de perfiles'));
+    }, 10000);
+
+    db.all('SELECT * FROM profiles ORDER BY name ASC', [], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows.map(profileFromRow));
+    });
+  });
+};
+
+const insertProfile = ({ name, description = null, prompt, schema }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando perfil'));
+    }, 10000);
+
+    db.run('INSERT INTO profiles (name, description, prompt, schema) VALUES (?, ?, ?, ?)',
+      [name, description, prompt, JSON.stringify(schema)], function (err) {
+        clearTimeout(timeout);
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+  });
+};
+
+const updateProfile = (name, { description, prompt, schema }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout actualizando perfil'));
+    }, 10000);
+
+    db.run(`
+      UPDATE profiles
+      SET description = COALESCE(?, description), prompt = COALESCE(?, prompt), schema = COALESCE(?, schema),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE name = ?
+    `, [description, prompt, schema ? JSON.stringify(schema) : null, name], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const deleteProfile = (name) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout eliminando perfil'));
+    }, 10000);
+
+    db.run('DELETE FROM profiles WHERE name = ?', [name], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+// Funciones de base de datos para la cola persistente de jobs
+const saveJob = (job) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando job en base de datos'));
+    }, 10000);
+
+    const resultJson = job.result ? JSON.stringify(job.result) : null;
+
+    db.run(`
+      INSERT OR REPLACE INTO jobs
+        (id, video_id, status, attempts, result, error, created_at, updated_at, available_at, started_at, finished_at,
+         callback_url, callback_secret, profile, force, preprocess, progress, llm, api_key_id, client,
+         priority, fairness_key, pin, cancelled_by, cancel_reason, error_code, error_category, dead_lettered_at, requeued_as,
+         validation_errors)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      job.id, job.videoId, job.status, job.attempts, resultJson, job.error,
+      job.createdAt, job.updatedAt, job.availableAt, job.startedAt, job.finishedAt,
+      job.callbackUrl, job.callbackSecret, job.profile, job.force ? 1 : 0,
+      job.preprocess ? JSON.stringify(job.preprocess) : null,
+      job.progress ? JSON.stringify(job.progress) : null,
+      job.llm ? JSON.stringify(job.llm) : null,
+      job.apiKeyId || null,
+      job.client || null,
+      job.priority,
+      job.fairnessKey,
+      job.pin || null,
+      job.cancelledBy || null,
+      job.cancelReason || null,
+      job.errorCode || null,
+      job.errorCategory || null,
+      job.deadLetteredAt || null,
+      job.requeuedAs || null,
+      job.validationErrors ? JSON.stringify(job.validationErrors) : null
+    ], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const getJobFromDB = (jobId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de job'));
+    }, 10000);
+
+    db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const getPendingJobsFromDB = () => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de jobs pendientes'));
+    }, 30000);
+
+    db.all('SELECT * FROM jobs WHERE status NOT IN (?, ?, ?) ORDER BY created_at ASC', FINISHED_JOB_STATUSES, (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Jobs fallidos sin más reintentos que aún no se han vuelto a encolar
+const getDeadLetterJobs = ({ code = null, category = null, limit = 50, offset = 0 } = {}) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de jobs fallidos'));
+    }, 30000);
+
+    const where = ['dead_lettered_at IS NOT NULL', 'requeued_as IS NULL'];
+    const params = [];
+    if (code) {
+      where.push('error_code = ?');
+      params.push(code);
+    }
+    if (category) {
+      where.push('error_category = ?');
+      params.push(category);
+    }
+
+    db.get(`SELECT COUNT(*) AS total FROM jobs WHERE ${where.join(' AND ')}`, params, (err, count) => {
+      if (err) {
+        clearTimeout(timeout);
+        return reject(err);
+      }
+      db.all(`SELECT * FROM jobs WHERE ${where.join(' AND ')} ORDER BY dead_lettered_at DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset], (err, rows) => {
+          clearTimeout(timeout);
+          if (err) reject(err);
+          else resolve({ total: count.total, rows });
+        });
+    });
+  });
+};
+
+// Funciones de base de datos para el consumo de tokens
+const insertUsageRecord = (record) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando consumo'));
+    }, 10000);
+
+    const usage = record.tokenUsage || {};
+    db.run(`
+      INSERT INTO usage_records
+        (job_id, job_attempt, chunk_index, video_id, profile, kind, model, client, api_key_id, status, error,
+         prompt_tokens, candidates_tokens, total_tokens)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      record.jobId, record.jobAttempt, record.chunkIndex, record.videoId, record.profile, record.kind,
+      record.model, record.client || null, record.apiKeyId || null, record.status,
+      record.error ? String(record.error).substring(0, 500) : null,
+      usage.promptTokens || 0, usage.candidatesTokens || 0, usage.totalTokens || 0
+    ], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ id: this.lastID });
+    });
+  });
+};
+
+// Totales por grupo y modelo (el coste depende del modelo y se calcula después)
+const getUsageSummary = ({ groupBy, where, params }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de consumo'));
+    }, 30000);
+
+    const groupExpressions = {
+      day: 'date(created_at)',
+      model: 'model',
+      client: 'client'
+    };
+
+    db.all(`
+      SELECT ${groupExpressions[groupBy]} AS group_key, model,
+        COUNT(*) AS attempts,
+        SUM(CASE WHEN status != 'ok' THEN 1 ELSE 0 END) AS failed_attempts,
+        SUM(prompt_tokens) AS prompt_tokens,
+        SUM(candidates_tokens) AS candidates_tokens,
+        SUM(total_tokens) AS total_tokens
+      FROM usage_records
+      WHERE ${where.join(' AND ')}
+      GROUP BY group_key, model
+      ORDER BY group_key
+    `, params, (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Funciones de base de datos para API keys
+const insertApiKey = (apiKey) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando API key'));
+    }, 10000);
+
+    db.run(`
+      INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, rate_limit, token_quota, quota_period)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      apiKey.id, apiKey.name, apiKey.keyHash, apiKey.keyPrefix, JSON.stringify(apiKey.scopes),
+      apiKey.rateLimit, apiKey.tokenQuota, apiKey.quotaPeriod
+    ], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const getApiKeyByHash = (keyHash) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de API key'));
+    }, 10000);
+
+    db.get('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const getApiKeyById = (id) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de API key'));
+    }, 10000);
+
+    db.get('SELECT * FROM api_keys WHERE id = ?', [id], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const getApiKeysFromDB = () => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de API keys'));
+    }, 10000);
+
+    db.all('SELECT * FROM api_keys ORDER BY created_at DESC', [], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const touchApiKey = (id) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout actualizando API key'));
+    }, 10000);
+
+    db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const revokeApiKey = (id) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout revocando API key'));
+    }, 10000);
+
+    db.run('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [id], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+// Tokens de las llamadas al modelo registradas para la clave (usage_records) desde `since`
+const getApiKeyTokenUsage = (apiKeyId, since) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout calculando consumo de tokens'));
+    }, 10000);
+
+    // También cuentan los intentos fallidos, reparaciones y fallbacks, que consumen tokens
+    // aunque el job no termine bien; las respuestas desde cache no llaman al modelo
+    db.get(`
+      SELECT COALESCE(SUM(total_tokens), 0) AS tokens
+      FROM usage_records
+      WHERE api_key_id = ? AND created_at >= ?
+    `, [apiKeyId, toDbTimestamp(since, 'since')], (err, row) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(row.tokens);
+    });
+  });
+};
+
+function apiKeyFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    tokenQuota: row.token_quota,
+    quotaPeriod: row.quota_period,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+// Fragmentos de un job (análisis por fragmentos)
+const getJobChunks = (jobId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de fragmentos'));
+    }, 10000);
+
+    db.all('SELECT * FROM job_chunks WHERE job_id = ? ORDER BY chunk_index', [jobId], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Guarda el resultado (o el fallo) de un intento sobre un fragmento
+const saveJobChunk = (jobId, chunk, { status, description = null, modelUsed = null, tokenUsage = null, error = null }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando fragmento en base de datos'));
+    }, 10000);
+
+    db.run(`
+      INSERT INTO job_chunks
+        (job_id, chunk_index, start_seconds, end_seconds, status, description, model_used, token_usage, attempts, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+      ON CONFLICT (job_id, chunk_index) DO UPDATE SET
+        start_seconds = excluded.start_seconds,
+        end_seconds = excluded.end_seconds,
+        status = excluded.status,
+        description = excluded.description,
+        model_used = excluded.model_used,
+        token_usage = excluded.token_usage,
+        attempts = job_chunks.attempts + 1,
+        error = excluded.error,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      jobId, chunk.index, chunk.start, chunk.end, status,
+      description ? JSON.stringify(description) : null, modelUsed,
+      tokenUsage ? JSON.stringify(tokenUsage) : null, error
+    ], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const deleteJobChunks = (jobId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout eliminando fragmentos'));
+    }, 10000);
+
+    db.run('DELETE FROM job_chunks WHERE job_id = ?', [jobId], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+// Funciones de base de datos para webhooks
+const createWebhookDelivery = (delivery) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando webhook en base de datos'));
+    }, 10000);
+
+    db.run(`
+      INSERT INTO webhook_deliveries (id, job_id, url, event, payload, signature, status, attempts, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?)
+    `, [delivery.id, delivery.jobId, delivery.url, delivery.event, delivery.payload, delivery.signature, Date.now()], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const getDueWebhookDeliveries = (now) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de webhooks pendientes'));
+    }, 10000);
+
+    db.all("SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT 20", [now], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const updateWebhookDelivery = (deliveryId, { status, attempts, nextAttemptAt = null }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout actualizando webhook en base de datos'));
+    }, 10000);
+
+    db.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = COALESCE(?, next_attempt_at),
+          delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = ?
+    `, [status, attempts, nextAttemptAt, status, deliveryId], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const insertWebhookAttempt = ({ deliveryId, attempt, statusCode, error, durationMs }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando intento de webhook'));
+    }, 10000);
+
+    db.run('INSERT INTO webhook_attempts (delivery_id, attempt, status_code, error, duration_ms) VALUES (?, ?, ?, ?, ?)',
+      [deliveryId, attempt, statusCode, error, durationMs], function (err) {
+        clearTimeout(timeout);
+        if (err) reject(err);
+        else resolve({ id: this.lastID });
+      });
+  });
+};
+
+const getWebhookDeliveriesForJob = (jobId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de webhooks'));
+    }, 10000);
+
+    db.all('SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY created_at ASC', [jobId], (err, deliveries) => {
+      if (err) {
+        clearTimeout(timeout);
+        return reject(err);
+      }
+
+      db.all(`
+        SELECT a.* FROM webhook_attempts a
+        JOIN webhook_deliveries d ON d.id = a.delivery_id
+        WHERE d.job_id = ? ORDER BY a.id ASC
+      `, [jobId], (err, attempts) => {
+        clearTimeout(timeout);
+        if (err) return reject(err);
+        resolve(deliveries.map(delivery => ({
+          ...delivery,
+          attempts_log: attempts.filter(attempt => attempt.delivery_id === delivery.id)
+        })));
+      });
+    });
+  });
+};
+
+// Funciones de base de datos para lotes
+// Sin transacción: la conexión es compartida y otras consultas acabarían dentro de ella.
+// Si alguna inserción falla se borra lo que se llegó a guardar del lote.
+const insertBatch = (batchId, items, profile = DEFAULT_PROFILE) => {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const timeout = setTimeout(() => {
+      fail(databaseTimeout('Timeout guardando lote en base de datos'));
+    }, 30000);
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      db.serialize(() => {
+        db.run('DELETE FROM batch_items WHERE batch_id = ?', [batchId], () => {});
+        db.run('DELETE FROM batches WHERE id = ?', [batchId], () => {});
+      });
+      reject(err);
+    };
+
+    // Insertar por bloques para no superar el límite de parámetros de SQLite
+    const chunks = [];
+    for (let offset = 0; offset < items.length; offset += 200) {
+      chunks.push(items.slice(offset, offset + 200));
+    }
+    let pending = 1 + chunks.length;
+    const done = (err) => {
+      if (err) return fail(err);
+      if (--pending === 0 && !settled) {
+        settled = true;
+        clearTimeout(timeout);
+        resolve({ id: batchId, total: items.length });
+      }
+    };
+
+    db.serialize(() => {
+      db.run('INSERT INTO batches (id, total, profile) VALUES (?, ?, ?)', [batchId, items.length, profile], done);
+      for (const chunk of chunks) {
+        db.run(`INSERT INTO batch_items (batch_id, video_id, job_id, cached)
+          VALUES ${chunk.map(() => '(?, ?, ?, ?)').join(', ')}`,
+          chunk.flatMap(item => [batchId, item.videoId, item.jobId, item.cached ? 1 : 0]), done);
+      }
+    });
+  });
+};
+
+const getBatchFromDB = (batchId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de lote'));
+    }, 30000);
+
+    db.get('SELECT * FROM batches WHERE id = ?', [batchId], (err, batch) => {
+      if (err || !batch) {
+        clearTimeout(timeout);
+        return err ? reject(err) : resolve(null);
+      }
+
+      db.all('SELECT * FROM batch_items WHERE batch_id = ? ORDER BY rowid ASC', [batchId], (err, items) => {
+        clearTimeout(timeout);
+        if (err) reject(err);
+        else resolve({ ...batch, items });
+      });
+    });
+  });
+};
+
+// Devuelve cuáles de los IDs ya existen en una tabla (consultas en bloques de 500)
+const findExistingIds = (sql, ids, params = []) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += 500) {
+    chunks.push(ids.slice(i, i + 500));
+  }
+
+  return Promise.all(chunks.map(chunk => new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de IDs existentes'));
+    }, 30000);
+
+    const placeholders = chunk.map(() => '?').join(', ');
+    db.all(sql.replace('%IDS%', placeholders), [...chunk, ...params], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows.map(row => row.id));
+    });
+  }))).then(results => results.flat());
+};
+
+const getExistingVideoIds = (ids, profile = DEFAULT_PROFILE) => {
+  return findExistingIds("SELECT drive_id AS id FROM videos WHERE drive_id IN (%IDS%) AND profile = ? AND status = 'ok'", ids, [profile]);
+};
+
+const getVideoIdsWithJobs = (ids, profile = DEFAULT_PROFILE) => {
+  return findExistingIds('SELECT DISTINCT video_id AS id FROM jobs WHERE video_id IN (%IDS%) AND profile = ?', ids, [profile]);
+};
+
+// Funciones de base de datos para carpetas vigiladas
+const getFolderWatchesFromDB = () => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout en consulta de carpetas vigiladas'));
+    }, 10000);
+
+    db.all('SELECT * FROM folder_watches', [], (err, rows) => {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const saveFolderWatch = ({ folderId, recursive, intervalMs, profile }) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout guardando carpeta vigilada'));
+    }, 10000);
+
+    db.run('INSERT OR REPLACE INTO folder_watches (folder_id, recursive, interval_ms, last_scan_at, profile) VALUES (?, ?, ?, ?, ?)',
+      [folderId, recursive ? 1 : 0, intervalMs, Date.now(), profile], function (err) {
+        clearTimeout(timeout);
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+  });
+};
+
+const touchFolderWatch = (folderId, lastScanAt) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout actualizando carpeta vigilada'));
+    }, 10000);
+
+    db.run('UPDATE folder_watches SET last_scan_at = ? WHERE folder_id = ?', [lastScanAt, folderId], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+const deleteFolderWatch = (folderId) => {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(databaseTimeout('Timeout eliminando carpeta vigilada'));
+    }, 10000);
+
+    db.run('DELETE FROM folder_watches WHERE folder_id = ?', [folderId], function (err) {
+      clearTimeout(timeout);
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+};
+
+// Convierte una fila de la tabla jobs al objeto job usado por la cola
+function jobFromRow(row) {
+  let result = null;
+  if (row.result) {
+    try {
+      result = JSON.parse(row.result);
+    } catch (e) {
+      console.warn(`Error parseando resultado del job ${row.id}`);
+    }
+  }
+
+  return {
+    id: row.id,
+    videoId: row.video_id,
+    profile: row.profile || DEFAULT_PROFILE,
+    force: !!row.force,
+    preprocess: row.preprocess ? JSON.parse(row.preprocess) : null,
+    progress: row.progress ? JSON.parse(row.progress) : null,
+    llm: row.llm ? JSON.parse(row.llm) : null,
+    apiKeyId: row.api_key_id || null,
+    client: row.client || null,
+    priority: row.priority || DEFAULT_JOB_PRIORITY,
+    fairnessKey: row.fairness_key || defaultFairnessKey(row.client, row.api_key_id),
+    pin: row.pin || null,
+    cancelledBy: row.cancelled_by || null,
+    cancelReason: row.cancel_reason || null,
+    errorCode: row.error_code || null,
+    errorCategory: row.error_category || null,
+    deadLetteredAt: row.dead_lettered_at || null,
+    requeuedAs: row.requeued_as || null,
+    validationErrors: row.validation_errors ? JSON.parse(row.validation_errors) : null,
+    status: row.status,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    availableAt: row.available_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    result,
+    error: row.error,
+    callbackUrl: row.callback_url,
+    callbackSecret: row.callback_secret
+  };
+}
+
+// Escribe un stream en un archivo temporal aplicando el límite de tamaño y el timeout
+// comunes a todas las fuentes; borra el archivo si algo falla o si se aborta `signal`
+// (cancelación del job). Resuelve con la ruta y
+// los hashes md5/sha256 del contenido, calculados mientras se escribe.
+function streamToTempFile(readable, filePath, signal = null) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      readable.destroy();
+      dest.destroy();
+      cleanupTempFile(filePath);
+      reject(error);
+    };
+
+    const timeout = setTimeout(() => {
+      fail(timeoutError('Timeout guardando archivo', 'DOWNLOAD_TIMEOUT'));
+    }, DOWNLOAD_TIMEOUT);
+
+    const dest = fs.createWriteStream(filePath);
+    const md5 = crypto.createHash('md5');
+    const sha256 = crypto.createHash('sha256');
+    let downloadedBytes = 0;
+
+    readable
+      .on('data', (chunk) => {
+        downloadedBytes += chunk.length;
+        md5.update(chunk);
+        sha256.update(chunk);
+        if (downloadedBytes > MAX_VIDEO_SIZE) {
+          fail(new JobError(`Archivo demasiado grande: más de ${MAX_VIDEO_SIZE / 1024 / 1024} MB`, { code: 'FILE_TOO_LARGE', category: 'download' }));
+          return;
+        }
+        // Log progreso cada 10MB
+        if (downloadedBytes % (10 * 1024 * 1024) < chunk.length) {
+          console.log(`📥 Descargado: ${(downloadedBytes / 1024 / 1024).toFixed(1)} MB`);
+        }
+      })
+      .on('error', fail)
+      .pipe(dest);
+
+    const onAbort = () => fail(signal.reason);
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    dest
+      .on('finish', () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        console.log(`✅ Descarga completa: ${(downloadedBytes / 1024 / 1024).toFixed(2)} MB`);
+        resolve({
+          filePath,
+          size: downloadedBytes,
+          md5: md5.digest('hex'),
+          sha256: sha256.digest('hex')
+        });
+      })
+      .on('error', fail);
+  });
+}
+
+// Ruta temporal única y segura para un video de cualquier fuente
+// Videos descargados de jobs en curso: la limpieza periódica de /tmp no los borra aunque
+// el job (p. ej. un análisis por fragmentos) dure más que la antigüedad máxima
+const activeTempPaths = new Set();
+
+function buildTempFilePath(videoKey, fileName) {
+  const keyHash = crypto.createHash('sha256').update(videoKey).digest('hex').slice(0, 12);
+  const safeName = path.basename(fileName || 'video').replace(/[^\w.-]/g, '_');
+  return path.join(tmpDir, `${keyHash}_${Date.now()}_${safeName}`);
+}
+
+// Combina el timeout de una petición con la señal de cancelación del job, si la hay
+function withAbortSignal(timeoutSignal, signal) {
+  return signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal;
+}
+
+function assertVideoSize(fileSize) {
+  if (fileSize > MAX_VIDEO_SIZE) {
+    throw new JobError(`Archivo demasiado grande: ${(fileSize / 1024 / 1024).toFixed(2)} MB`, { code: 'FILE_TOO_LARGE', category: 'download' });
+  }
+}
+
+// Función para descargar video de Google Drive con timeout
+async function downloadVideoFromDrive(videoId, videoKey = videoId, signal = null) {
+  if (!drive) {
+    throw new Error('Google Drive API no está configurada correctamente');
+  }
+
+  // Timeout para metadata
+  const fileMetadata = await Promise.race([
+    drive.files.get({
+      fileId: videoId,
+      fields: 'name, mimeType, size'
+    }),
+    new Promise((_, reject) => {
+      setTimeout(() => reject(timeoutError('Timeout obteniendo metadata', 'DOWNLOAD_TIMEOUT')), 30000);
+    })
+  ]);
+
+  const fileName = fileMetadata.data.name || `video_${videoId}`;
+
+  // Verificar tamaño antes de descargar
+  assertVideoSize(parseInt(fileMetadata.data.size) || 0);
+
+  const filePath = buildTempFilePath(videoKey, fileName);
+
+  // Timeout para descarga
+  const response = await Promise.race([
+    drive.files.get({
+      fileId: videoId,
+      alt: 'media'
+    }, { responseType: 'stream', signal: signal || undefined }),
+    new Promise((_, reject) => {
+      setTimeout(() => reject(timeoutError('Timeout en descarga', 'DOWNLOAD_TIMEOUT')), DOWNLOAD_TIMEOUT);
+    })
+  ]);
+
+  return streamToTempFile(response.data, filePath, signal);
+}
+
+// Obtiene el md5 que Drive calcula para el archivo, sin descargarlo
+async function getDriveContentHash(videoId) {
+  if (!drive) return null;
+
+  const fileMetadata = await Promise.race([
+    drive.files.get({
+      fileId: videoId,
+      fields: 'md5Checksum'
+    }),
+    new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Timeout obteniendo metadata')), 30000);
+    })
+  ]);
+
+  return fileMetadata.data.md5Checksum ? { md5: fileMetadata.data.md5Checksum } : null;
+}
+
+async function getDriveModifiedTime(videoId) {
+  if (!drive) return null;
+
+  const fileMetadata = await Promise.race([
+    drive.files.get({
+      fileId: videoId,
+      fields: 'modifiedTime'
+    }),
+    new Promise((_, reject) => {
+      setTimeout(() => reject(new Error('Timeout obteniendo metadata')), 30000);
+    })
+  ]);
+
+  return fileMetadata.data.modifiedTime ? new Date(fileMetadata.data.modifiedTime).getTime() : null;
+}
+
+// Redes a las que la fuente url no se conecta: loopback, privadas, link-local (metadatos
+// de la nube), multicast y reservadas. Las IPv4 mapeadas en IPv6 se comprueban como IPv4;
+// las compatibles (::/96) y las de NAT64 (64:ff9b::/96) no, así que se bloquean enteras.
+const BLOCKED_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+  .forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 96], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  return BLOCKED_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function isAllowedUrlHost(url, allowedHosts = URL_SOURCE_ALLOWED_HOSTS) {
+  return allowedHosts.includes(url.hostname.replace(/^\[|\]$/g, '').toLowerCase());
+}
+
+// Host de una URL sin corchetes IPv6; 'localhost' y sus subdominios cuentan como loopback
+function urlHostAddress(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ? '127.0.0.1' : hostname;
+}
+
+function forbiddenUrlError(message) {
+  return new JobError(message, { code: 'DOWNLOAD_FORBIDDEN', category: 'download' });
+}
+
+// Rechaza URLs que no son http(s) o con una IP interna literal (salvo hosts de allowedHosts).
+// Los nombres se comprueban al conectar, con publicAddressLookup
+function assertPublicUrl(url, allowedHosts = URL_SOURCE_ALLOWED_HOSTS) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw forbiddenUrlError('La URL debe ser http(s)');
+  }
+  const address = urlHostAddress(url);
+  if (!isAllowedUrlHost(url, allowedHosts) && net.isIP(address) && isBlockedAddress(address)) {
+    throw forbiddenUrlError(`La URL apunta a una dirección interna no permitida: ${url.hostname}`);
+  }
+}
+
+// lookup de http/https que rechaza las direcciones internas en el momento de conectar: se
+// comprueba la IP a la que de verdad se conecta, así que un DNS que cambia de respuesta
+// entre una validación previa y la conexión (DNS rebinding) no la esquiva
+function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    if (entries.some(entry => isBlockedAddress(entry.address))) {
+      return callback(forbiddenUrlError(`La URL apunta a una dirección interna no permitida: ${hostname}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Petición http(s) que solo se conecta a direcciones públicas (o a los hosts de
+// allowedHosts). Resuelve con la respuesta sin leer su cuerpo y no sigue redirecciones
+function requestPublicUrl(url, { method = 'GET', headers = {}, body = null, signal = null, allowedHosts = URL_SOURCE_ALLOWED_HOSTS } = {}) {
+  assertPublicUrl(url, allowedHosts);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method,
+      headers,
+      signal: signal || undefined,
+      lookup: isAllowedUrlHost(url, allowedHosts) ? undefined : publicAddressLookup
+    }, resolve);
+    // Al abortar, el motivo de la señal (timeout o cancelación) en lugar de un AbortError genérico
+    request.on('error', error => reject(signal && signal.aborted ? signal.reason : error));
+    request.end(body || undefined);
+  });
+}
+
+// Descarga un video desde una URL http(s). Las redirecciones se siguen a mano para
+// validar cada salto
+async function downloadVideoFromUrl(url, videoKey, signal = null) {
+  const requestSignal = withAbortSignal(AbortSignal.timeout(DOWNLOAD_TIMEOUT), signal);
+  let currentUrl = new URL(url);
+  let response;
+
+  for (let redirects = 0; ; redirects++) {
+    response = await requestPublicUrl(currentUrl, { signal: requestSignal });
+
+    const { location } = response.headers;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
+    response.resume();
+    if (redirects >= 5) {
+      throw new Error('Demasiadas redirecciones');
+    }
+    currentUrl = new URL(location, currentUrl);
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw Object.assign(new Error(`La URL respondió HTTP ${response.statusCode}`), {
+      httpStatus: response.statusCode,
+      retryAfter: response.headers['retry-after'] || null
+    });
+  }
+
+  try {
+    assertVideoSize(parseInt(response.headers['content-length']) || 0);
+  } catch (error) {
+    response.destroy();
+    throw error;
+  }
+
+  const fileName = decodeURIComponent(currentUrl.pathname.split('/').pop() || '') || 'video.mp4';
+  const filePath = buildTempFilePath(videoKey, fileName);
+
+  return streamToTempFile(response, filePath, signal);
+}
+
+// Copia un video del disco local (limitado a LOCAL_VIDEO_DIR) al directorio temporal,
+// para que la limpieza posterior nunca toque el original
+async function copyVideoFromLocal(localPath, videoKey, signal = null) {
+  const sourcePath = resolveLocalVideoPath(localPath);
+  const stats = await fs.promises.stat(sourcePath);
+
+  if (!stats.isFile()) {
+    throw new Error(`No es un archivo: ${localPath}`);
+  }
+  assertVideoSize(stats.size);
+
+  const filePath = buildTempFilePath(videoKey, sourcePath);
+  return streamToTempFile(fs.createReadStream(sourcePath), filePath, signal);
+}
+
+// Descarga un objeto de un bucket S3 compatible ("bucket/clave")
+async function downloadVideoFromS3(locator, videoKey, signal = null) {
+  if (!s3Client) {
+    throw new Error('Almacenamiento S3 no está configurado correctamente');
+  }
+
+  const { bucket, key } = parseS3Locator(locator);
+  const response = await s3Client.send(
+    new GetObjectCommand({ Bucket: bucket, Key: key }),
+    { abortSignal: withAbortSignal(AbortSignal.timeout(DOWNLOAD_TIMEOUT), signal) }
+  );
+
+  assertVideoSize(response.ContentLength || 0);
+
+  const filePath = buildTempFilePath(videoKey, key);
+  return streamToTempFile(response.Body, filePath, signal);
+}
+
+async function getLocalModifiedTime(localPath) {
+  const stats = await fs.promises.stat(resolveLocalVideoPath(localPath));
+  return stats.mtimeMs;
+}
+
+async function getS3ModifiedTime(locator) {
+  if (!s3Client) return null;
+
+  const { bucket, key } = parseS3Locator(locator);
+  const response = await s3Client.send(
+    new HeadObjectCommand({ Bucket: bucket, Key: key }),
+    { abortSignal: AbortSignal.timeout(30000) }
+  );
+  return response.LastModified ? response.LastModified.getTime() : null;
+}
+
+function resolveLocalVideoPath(localPath) {
+  if (!LOCAL_VIDEO_DIR) {
+    throw new Error('Fuente local deshabilitada: configura LOCAL_VIDEO_DIR');
+  }
+
+  const root = path.resolve(LOCAL_VIDEO_DIR);
+  const resolved = path.resolve(root, localPath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error('La ruta local debe estar dentro de LOCAL_VIDEO_DIR');
+  }
+  return resolved;
+}
+
+// Copia un video subido (guardado por su hash SHA-256) al directorio temporal;
+// el original se conserva para reintentos hasta que el job termina
+async function copyVideoFromUpload(hash, videoKey, signal = null) {
+  const uploadPath = findUploadedFile(hash);
+  if (!uploadPath) {
+    throw new JobError('Archivo subido no encontrado, vuelve a subirlo', { code: 'DOWNLOAD_NOT_FOUND', category: 'download' });
+  }
+
+  const filePath = buildTempFilePath(videoKey, uploadPath);
+  return streamToTempFile(fs.createReadStream(uploadPath), filePath, signal);
+}
+
+function findUploadedFile(hash) {
+  if (!fs.existsSync(UPLOAD_DIR)) return null;
+  const fileName = fs.readdirSync(UPLOAD_DIR).find(file => path.parse(file).name === hash);
+  return fileName ? path.join(UPLOAD_DIR, fileName) : null;
+}
+
+function parseS3Locator(locator) {
+  const match = locator.replace(/^s3:\/\//, '').match(/^([^/]+)\/(.+)$/);
+  if (!match) {
+    throw new Error('Ubicación S3 inválida, se espera "bucket/clave" o "s3://bucket/clave"');
+  }
+  return { bucket: match[1], key: match[2] };
+}
+
+// Fuentes de video disponibles. La clave de cache (videos.drive_id) lleva el prefijo
+// de la fuente, excepto Drive que conserva el ID sin prefijo por compatibilidad.
+const VIDEO_SOURCES = {
+  drive: {
+    normalize: (locator) => locator,
+    probe: getDriveContentHash,
+    modifiedTime: getDriveModifiedTime,
+    download: downloadVideoFromDrive
+  },
+  url: {
+    normalize: (locator) => {
+      const url = new URL(locator);
+      assertPublicUrl(url);
+      return url.toString();
+    },
+    download: downloadVideoFromUrl
+  },
+  local: {
+    normalize: (locator) => path.relative(path.resolve(LOCAL_VIDEO_DIR || '/'), resolveLocalVideoPath(locator)),
+    modifiedTime: getLocalModifiedTime,
+    download: copyVideoFromLocal
+  },
+  s3: {
+    normalize: (locator) => {
+      const { bucket, key } = parseS3Locator(locator);
+      return `${bucket}/${key}`;
+    },
+    modifiedTime: getS3ModifiedTime,
+    download: downloadVideoFromS3
+  },
+  upload: {
+    normalize: (locator) => {
+      if (!/^[a-f0-9]{64}$/.test(locator)) {
+        throw new Error('El identificador de un video subido es su hash SHA-256');
+      }
+      return locator;
+    },
+    download: copyVideoFromUpload
+  }
+};
+
+// Construye la clave de cache de un video; lanza error 400 si la fuente o la ubicación no son válidas
+function buildVideoKey(source, locator) {
+  const adapter = VIDEO_SOURCES[source];
+  if (!adapter) {
+    const error = new Error(`Fuente desconocida: ${source}. Opciones: ${Object.keys(VIDEO_SOURCES).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  try {
+    const normalized = adapter.normalize(String(locator).trim());
+    return source === 'drive' ? normalized : `${source}:${normalized}`;
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Separa una clave de cache en fuente y ubicación (los IDs de Drive no contienen ':')
+function parseVideoKey(videoKey) {
+  const separator = videoKey.indexOf(':');
+  if (separator !== -1 && VIDEO_SOURCES[videoKey.slice(0, separator)]) {
+    return { source: videoKey.slice(0, separator), locator: videoKey.slice(separator + 1) };
+  }
+  return { source: 'drive', locator: videoKey };
+}
+
+// Subidas recibidas cuya petición aún no ha terminado, por hash: su archivo no se borra
+// aunque otro job con el mismo contenido termine mientras tanto
+const pendingUploads = new Map();
+
+// Recibe el archivo de un formulario multipart en UPLOAD_DIR calculando su SHA-256
+// mientras se escribe; rechaza con status 413 si supera MAX_VIDEO_SIZE. Quien lo recibe
+// debe llamar a releaseUpload() al terminar la petición
+function receiveUpload(file, { filename }) {
+  return new Promise((resolve, reject) => {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+    const partialPath = path.join(UPLOAD_DIR, `.partial_${crypto.randomUUID()}`);
+    const hash = crypto.createHash('sha256');
+    const dest = fs.createWriteStream(partialPath);
+    let size = 0;
+
+    const fail = (error) => {
+      file.resume();
+      dest.destroy();
+      cleanupTempFile(partialPath);
+      reject(error);
+    };
+
+    file.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+
+    file.on('limit', () => {
+      const error = new Error(`Archivo demasiado grande: más de ${MAX_VIDEO_SIZE / 1024 / 1024} MB`);
+      error.status = 413;
+      fail(error);
+    });
+
+    file.on('error', fail);
+    dest.on('error', fail);
+
+    dest.on('finish', () => {
+      if (file.truncated) return;
+
+      const digest = hash.digest('hex');
+      const extension = path.extname(filename || '').toLowerCase().replace(/[^\w.]/g, '') || '.mp4';
+
+      // Si el mismo contenido ya está pendiente, se descarta la copia nueva
+      if (findUploadedFile(digest)) {
+        cleanupTempFile(partialPath);
+      } else {
+        fs.renameSync(partialPath, path.join(UPLOAD_DIR, `${digest}${extension}`));
+      }
+
+      pendingUploads.set(digest, (pendingUploads.get(digest) || 0) + 1);
+      console.log(`📤 Archivo recibido: ${filename} (${(size / 1024 / 1024).toFixed(2)} MB, sha256 ${digest.slice(0, 12)}…)`);
+      resolve({ hash: digest, size, fileName: filename });
+    });
+
+    file.pipe(dest);
+  });
+}
+
+// La petición que recibió la subida terminó (encolada, rechazada o respondida desde cache)
+function releaseUpload(hash) {
+  const pending = (pendingUploads.get(hash) || 0) - 1;
+  if (pending > 0) pendingUploads.set(hash, pending);
+  else pendingUploads.delete(hash);
+  removeUploadedFile(hash);
+}
+
+// Elimina el archivo subido cuando ya no hace falta: los archivos se guardan una vez por
+// contenido, así que se conserva mientras otra subida en curso o un job activo (de
+// cualquier perfil) lo use
+function removeUploadedFile(hash) {
+  if (pendingUploads.has(hash) || processingQueue.hasActiveVideo(buildVideoKey('upload', hash))) {
+    return;
+  }
+  const uploadPath = findUploadedFile(hash);
+  if (uploadPath) {
+    cleanupTempFile(uploadPath);
+  }
+}
+
+// Hash del contenido que la fuente conoce sin descargar; null si no lo ofrece o falla
+async function probeVideoContentHash(videoKey) {
+  const { source, locator } = parseVideoKey(videoKey);
+  const adapter = VIDEO_SOURCES[source];
+  if (!adapter.probe) return null;
+
+  try {
+    return await adapter.probe(locator);
+  } catch (error) {
+    console.warn(`No se pudo obtener el hash de ${videoKey}:`, error.message);
+    return null;
+  }
+}
+
+// Fecha de última modificación (ms epoch) del video en su fuente, si la fuente la conoce
+async function getVideoModifiedTime(videoKey) {
+  const { source, locator } = parseVideoKey(videoKey);
+  const adapter = VIDEO_SOURCES[source];
+  if (!adapter.modifiedTime) return null;
+
+  try {
+    return await adapter.modifiedTime(locator);
+  } catch (error) {
+    console.warn(`No se pudo obtener la fecha de modificación de ${videoKey}:`, error.message);
+    return null;
+  }
+}
+
+// Descarga un video de su fuente a un archivo temporal ({ filePath, size, md5, sha256 });
+// `signal` corta la descarga y borra el archivo parcial
+async function downloadVideo(videoKey, { signal = null } = {}) {
+  const { source, locator } = parseVideoKey(videoKey);
+
+  try {
+    return await VIDEO_SOURCES[source].download(locator, videoKey, signal);
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    console.error(`Error descargando video (${source}):`, error.message);
+    throw classifyDownloadError(error);
+  }
+}
+
+// Lista los videos de una carpeta de Drive (y subcarpetas si recursive)
+async function listDriveFolderVideos(folderId, recursive = false) {
+  if (!drive) {
+    throw new Error('Google Drive API no está configurada correctamente');
+  }
+
+  const videos = [];
+  const pending = [folderId];
+  const visited = new Set();
+
+  while (pending.length > 0) {
+    const currentFolder = pending.shift();
+    if (visited.has(currentFolder)) continue;
+    visited.add(currentFolder);
+
+    let pageToken;
+    do {
+      const response = await Promise.race([
+        drive.files.list({
+          q: `'${currentFolder.replace(/'/g, "\\'")}' in parents and trashed = false`,
+          fields: 'nextPageToken, files(id, name, mimeType, size)',
+          pageSize: 1000,
+          pageToken,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true
+        }),
+        new Promise((_, reject) => {
+          setTimeout(() => reject(new Error('Timeout listando carpeta')), 30000);
+        })
+      ]);
+
+      for (const file of response.data.files || []) {
+        if (file.mimeType === 'application/vnd.google-apps.folder') {
+          if (recursive) pending.push(file.id);
+        } else if (file.mimeType && file.mimeType.startsWith('video/')) {
+          videos.push(file);
+        }
+      }
+
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+  }
+
+  console.log(`📂 Carpeta ${folderId}: ${videos.length} videos en ${visited.size} carpetas`);
+  return videos;
+}
+
+// Ejecuta ffmpeg/ffprobe con timeout; rechaza con el final de stderr si falla. Con
+// `signal` el proceso se mata al cancelar el job
+function runMediaTool(command, args, timeoutMs = PREPROCESS_TIMEOUT, signal = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], signal: signal || undefined, killSignal: 'SIGKILL' });
+    let stdout = '';
+    let stderr = '';
+
+    const timeout = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(timeoutError(`Timeout ejecutando ${path.basename(command)}`, 'MEDIA_TOOL_TIMEOUT'));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    child.on('error', (error) => {
+      clearTimeout(timeout);
+      if (error.name === 'AbortError') return reject(signal.reason);
+      reject(error.code === 'ENOENT'
+        ? Object.assign(new Error(`${command} no está instalado`), { code: 'ENOENT' })
+        : error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${path.basename(command)} terminó con código ${code}: ${stderr.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+// Metadatos reales del archivo con ffprobe; null si ffprobe no está disponible o falla
+async function probeMedia(filePath) {
+  try {
+    const output = await runMediaTool(FFPROBE_PATH, [
+      '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+    ], 30000);
+    const { format = {}, streams = [] } = JSON.parse(output);
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+    const [fpsNum, fpsDen] = String(video?.avg_frame_rate || '0/1').split('/').map(Number);
+
+    return {
+      durationSeconds: format.duration ? Number(parseFloat(format.duration).toFixed(3)) : null,
+      container: format.format_name || null,
+      bitRate: format.bit_rate ? parseInt(format.bit_rate) : null,
+      video: video ? {
+        codec: video.codec_name,
+        width: video.width,
+        height: video.height,
+        fps: fpsDen ? Number((fpsNum / fpsDen).toFixed(2)) : null
+      } : null,
+      audio: audio ? {
+        codec: audio.codec_name,
+        channels: audio.channels,
+        sampleRate: audio.sample_rate ? parseInt(audio.sample_rate) : null
+      } : null
+    };
+  } catch (error) {
+    console.warn(`⚠️ No se pudieron leer los metadatos con ffprobe: ${error.message}`);
+    return null;
+  }
+}
+
+function formatDuration(totalSeconds) {
+  const seconds = Math.round(totalSeconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Sustituye la duración estimada por el modelo por la medida con ffprobe
+function applyMediaMetadata(description, mediaMetadata) {
+  if (!mediaMetadata || !mediaMetadata.durationSeconds || !description || typeof description !== 'object') {
+    return description;
+  }
+  const corrected = { ...description };
+  if ('duracion_segundos' in corrected) corrected.duracion_segundos = Math.round(mediaMetadata.durationSeconds);
+  if ('duracion_formato' in corrected) corrected.duracion_formato = formatDuration(mediaMetadata.durationSeconds);
+  return corrected;
+}
+
+// Valida las opciones de preprocesamiento de una petición ("transcode" o { mode, extractAudio });
+// lanza error con status 400 si no son válidas
+function parsePreprocessOptions(value) {
+  if (value === undefined || value === null) return null;
+
+  const options = typeof value === 'string' ? { mode: value } : value;
+  if (typeof options !== 'object' || (options.mode !== undefined && !PREPROCESS_MODES.includes(options.mode))) {
+    const error = new Error(`Preprocesamiento inválido. Modos: ${PREPROCESS_MODES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const parsed = {};
+  if (options.mode !== undefined) parsed.mode = options.mode;
+  if (options.extractAudio !== undefined) parsed.extractAudio = options.extractAudio === true || options.extractAudio === 'true';
+  return parsed;
+}
+
+// Prepara los archivos que se envían a Gemini según el modo de preprocesamiento.
+// Devuelve { files, note, workDir }; si ffmpeg no está disponible se envía el original.
+async function preprocessVideo(filePath, options, mediaMetadata, signal = null) {
+  const original = { files: [{ path: filePath }], note: null, workDir: null };
+  const ffmpeg = (args) => runMediaTool(FFMPEG_PATH, args, PREPROCESS_TIMEOUT, signal);
+  const separateAudio = options.extractAudio || options.mode === 'keyframes';
+
+  if (options.mode === 'off' && !options.extractAudio) {
+    return original;
+  }
+
+  const workDir = fs.mkdtempSync(path.join(tmpDir, 'preprocess_'));
+  const hasAudio = !mediaMetadata || !!mediaMetadata.audio;
+  const scale = `scale=-2:'min(${options.maxHeight},ih)'`;
+  const files = [];
+  const notes = [];
+
+  try {
+    if (options.mode === 'keyframes') {
+      // Un fotograma cada frameInterval segundos, sin superar maxFrames
+      const duration = mediaMetadata?.durationSeconds || 0;
+      const interval = Math.max(options.frameInterval, duration / options.maxFrames);
+      await ffmpeg([
+        '-y', '-v', 'error', '-i', filePath,
+        '-vf', `fps=1/${interval.toFixed(3)},${scale}`,
+        '-frames:v', String(options.maxFrames), '-q:v', '4',
+        path.join(workDir, 'frame_%04d.jpg')
+      ]);
+      const frames = fs.readdirSync(workDir).filter(name => name.endsWith('.jpg')).sort();
+      files.push(...frames.map(name => ({ path: path.join(workDir, name), mimeType: 'image/jpeg' })));
+      notes.push(`Las imágenes adjuntas son ${frames.length} fotogramas del video en orden, uno cada ${interval.toFixed(1)} segundos.`);
+      console.log(`🎞️ ${frames.length} fotogramas extraídos (cada ${interval.toFixed(1)} s)`);
+    } else if (options.mode === 'transcode') {
+      const output = path.join(workDir, 'video.mp4');
+      await ffmpeg([
+        '-y', '-v', 'error', '-i', filePath,
+        '-vf', scale, '-c:v', 'libx264', '-preset', 'veryfast',
+        '-b:v', options.videoBitrate, '-maxrate', options.videoBitrate, '-bufsize', '2M',
+        ...(separateAudio ? ['-an'] : ['-c:a', 'aac', '-b:a', '96k']),
+        '-movflags', '+faststart', output
+      ]);
+      files.push({ path: output, mimeType: 'video/mp4' });
+      console.log(`🎬 Video transcodificado: ${(fs.statSync(filePath).size / 1024 / 1024).toFixed(2)} MB → ${(fs.statSync(output).size / 1024 / 1024).toFixed(2)} MB`);
+    } else {
+      // Sin transcodificar: solo se quita la pista de audio
+      const output = path.join(workDir, `video${path.extname(filePath) || '.mp4'}`);
+      await ffmpeg(['-y', '-v', 'error', '-i', filePath, '-map', '0:v', '-c', 'copy', output]);
+      files.push({ path: output });
+    }
+
+    if (separateAudio && hasAudio) {
+      const audioPath = path.join(workDir, 'audio.m4a');
+      await ffmpeg([
+        '-y', '-v', 'error', '-i', filePath, '-vn', '-ac', '1', '-c:a', 'aac', '-b:a', '64k', audioPath
+      ]);
+      files.push({ path: audioPath, mimeType: 'audio/mp4' });
+      notes.push('El audio del video se adjunta como archivo aparte.');
+    }
+
+    return { files, note: notes.length > 0 ? notes.join(' ') : null, workDir };
+  } catch (error) {
+    cleanupTempDir(workDir);
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    if (error.code === 'ENOENT') {
+      console.warn(`⚠️ ${error.message}: se envía el video original sin preprocesar`);
+      return original;
+    }
+    throw new JobError(`Error en el preprocesamiento: ${error.message}`, {
+      code: error instanceof JobError ? error.code : 'PREPROCESS_FAILED',
+      category: 'preprocess',
+      retryable: error instanceof JobError && error.retryable,
+      cause: error
+    });
+  }
+}
+
+// Divide un video en fragmentos de igual duración si supera CHUNK_SECONDS o CHUNK_MAX_SIZE_MB.
+// Devuelve null si no hace falta (o si no se conoce la duración)
+function planChunks(mediaMetadata, fileSize) {
+  const duration = mediaMetadata?.durationSeconds;
+  if (!duration) {
+    return null;
+  }
+
+  const count = Math.max(
+    Math.ceil(duration / CHUNKING.chunkSeconds),
+    Math.ceil(fileSize / (1024 * 1024) / CHUNKING.maxSizeMB)
+  );
+  if (count <= 1) {
+    return null;
+  }
+
+  const length = duration / count;
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    start: Number((index * length).toFixed(3)),
+    end: index === count - 1 ? duration : Number(((index + 1) * length).toFixed(3))
+  }));
+}
+
+// Un fragmento guardado solo se reutiliza si se analizó con el mismo corte
+function isStoredChunk(row, chunk) {
+  return !!row && row.start_seconds === chunk.start && row.end_seconds === chunk.end;
+}
+
+// Copia un tramo del video sin recodificar (el corte cae en el fotograma clave más cercano)
+async function extractChunk(filePath, chunk, workDir, signal = null) {
+  const output = path.join(workDir, `chunk_${chunk.index}${path.extname(filePath) || '.mp4'}`);
+  await runMediaTool(FFMPEG_PATH, [
+    '-y', '-v', 'error', '-ss', String(chunk.start), '-i', filePath, '-t', String(chunk.end - chunk.start),
+    '-map', '0:v?', '-map', '0:a?', '-c', 'copy', '-avoid_negative_ts', 'make_zero', output
+  ], PREPROCESS_TIMEOUT, signal);
+  return output;
+}
+
+// Combina las descripciones de los fragmentos (en orden) en una sola con el mismo formato
+function mergeChunkDescriptions(chunks, schema) {
+  return mergeChunkValues(chunks.map(chunk => ({ value: chunk.description, offset: chunk.start })), schema || {}, null);
+}
+
+function mergeChunkValues(items, schema, key) {
+  const present = items.filter(item => item.value !== undefined && item.value !== null);
+  if (present.length === 0) {
+    return items[0] ? items[0].value : undefined;
+  }
+
+  const strategy = schema.merge || CHUNK_MERGE_FIELDS[key];
+  const values = present.map(item => item.value);
+
+  // Listas: concatenadas en orden, con las marcas de tiempo desplazadas al video completo
+  if (values.every(Array.isArray)) {
+    return present.flatMap(item => item.value.map(element => offsetChunkTimes(element, item.offset)));
+  }
+
+  if (values.every(value => typeof value === 'object' && !Array.isArray(value))) {
+    const keys = [...new Set(values.flatMap(value => Object.keys(value)))];
+    const merged = {};
+    for (const childKey of keys) {
+      merged[childKey] = mergeChunkValues(
+        present.map(item => ({ value: item.value[childKey], offset: item.offset })),
+        schema.properties?.[childKey] || {},
+        childKey
+      );
+    }
+    for (const childKey of keys) {
+      const childStrategy = schema.properties?.[childKey]?.merge || CHUNK_MERGE_FIELDS[childKey];
+      if (childStrategy === 'duration' && typeof merged.duracion_segundos === 'number') {
+        merged[childKey] = formatDuration(merged.duracion_segundos);
+      }
+    }
+    return merged;
+  }
+
+  if (values.every(value => typeof value === 'number')) {
+    if (strategy === 'max' || (strategy !== 'sum' && !String(key).startsWith('duracion'))) {
+      return Math.max(...values);
+    }
+    return values.reduce((total, value) => total + value, 0);
+  }
+
+  // Texto o false: false solo si ningún fragmento aporta texto
+  const texts = values.filter(value => typeof value === 'string' && value.trim());
+  if (texts.length === 0) {
+    return values.some(value => value === true) ? true : values[0];
+  }
+  if (strategy === 'first') {
+    return texts[0];
+  }
+  if (strategy === 'list') {
+    return mergeTextLists(texts);
+  }
+  // Transcripciones y descripciones: en orden, sin repetir fragmentos consecutivos iguales
+  return texts.filter((text, index) => index === 0 || text.trim() !== texts[index - 1].trim()).join('\n');
+}
+
+function offsetChunkTimes(element, offset) {
+  if (!element || typeof element !== 'object' || !offset) {
+    return element;
+  }
+  const shifted = { ...element };
+  for (const timeKey of CHUNK_TIME_KEYS) {
+    if (typeof shifted[timeKey] === 'number') {
+      shifted[timeKey] = Number((shifted[timeKey] + offset).toFixed(2));
+    }
+  }
+  return shifted;
+}
+
+// Une enumeraciones ("un perro, una pelota y una toalla") sin repetir elementos
+function mergeTextLists(texts) {
+  const seen = new Set();
+  const items = [];
+  for (const text of texts) {
+    for (const part of text.split(/\s*[,;]\s*|\s+y\s+/)) {
+      const item = part.trim().replace(/\.$/, '');
+      const normalized = item.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      if (item && !seen.has(normalized)) {
+        seen.add(normalized);
+        items.push(item);
+      }
+    }
+  }
+  return items.join(', ');
+}
+
+function mostFrequent(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// SHA-256 de un archivo leído por streaming
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Valor de ejemplo que cumple el esquema, derivado de forma determinista de seed
+function buildMockValue(schema, key, seed) {
+  const types = [].concat(schema.type || 'string');
+  const number = parseInt(crypto.createHash('sha256').update(`${seed}:${key}`).digest('hex').slice(0, 8), 16);
+
+  if (types.includes('object')) {
+    const value = {};
+    for (const [childKey, childSchema] of Object.entries(schema.properties || {})) {
+      value[childKey] = buildMockValue(childSchema, childKey, seed);
+    }
+    if (typeof value.duracion_segundos === 'number' && typeof value.duracion_formato === 'string') {
+      value.duracion_formato = formatDuration(value.duracion_segundos);
+    }
+    return value;
+  }
+  if (types.includes('array')) {
+    // Dos elementos consecutivos de 10 segundos si tienen marcas de tiempo
+    return [0, 1].map(index => {
+      const item = buildMockValue(schema.items || {}, `${key}.${index}`, seed);
+      if (item && typeof item === 'object' && CHUNK_TIME_KEYS.every(timeKey => typeof item[timeKey] === 'number')) {
+        item.inicio = index * 10;
+        item.fin = index * 10 + 10;
+      }
+      return item;
+    });
+  }
+  if (types.includes('integer')) {
+    return 10 + number % 290;
+  }
+  if (types.includes('number')) {
+    return Number(((number % 3000) / 10).toFixed(1));
+  }
+  if (types.includes('string')) {
+    return `${key} (mock ${seed.slice(0, 8)})`;
+  }
+  if (types.includes('boolean')) {
+    return number % 2 === 0;
+  }
+  return null;
+}
+
+// Suma el uso de tokens de una respuesta de Gemini al acumulado (o crea uno nuevo)
+function addTokenUsage(total, usageMetadata) {
+  const usage = total || { promptTokens: 0, candidatesTokens: 0, totalTokens: 0 };
+  usage.promptTokens += usageMetadata?.promptTokenCount || 0;
+  usage.candidatesTokens += usageMetadata?.candidatesTokenCount || 0;
+  usage.totalTokens += usageMetadata?.totalTokenCount || 0;
+  return usage;
+}
+
+// Configuración en JSON desde una variable de entorno; {} si falta o no es válida
+function parseJsonSetting(value, name) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️ ${name} no es JSON válido, se usan los valores por defecto`);
+    return {};
+  }
+}
+
+// Coste estimado en USD; null si el modelo no tiene precio. Los tokens de salida incluyen
+// los de razonamiento (totalTokens - promptTokens), que se facturan como salida
+function estimateCost(model, { promptTokens = 0, candidatesTokens = 0, totalTokens = 0 }) {
+  const price = MODEL_PRICES[model];
+  if (!price) {
+    return null;
+  }
+  const outputTokens = Math.max(totalTokens - promptTokens, candidatesTokens);
+  return Number(((promptTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6).toFixed(6));
+}
+
+// Como addTokenUsage, pero con un uso ya normalizado ({ promptTokens, ... })
+function addTokenUsageTotals(total, tokenUsage) {
+  return addTokenUsage(total, {
+    promptTokenCount: tokenUsage?.promptTokens,
+    candidatesTokenCount: tokenUsage?.candidatesTokens,
+    totalTokenCount: tokenUsage?.totalTokens
+  });
+}
+
+// Extrae el JSON de la respuesta del modelo y lo normaliza contra el esquema del perfil
+function parseModelOutput(text, schema) {
+  const cleaned = String(text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+  let data;
+  try {
+    data = JSON.parse(cleaned);
+  } catch (jsonError) {
+    // A veces el JSON viene rodeado de texto: probar con el primer objeto completo
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    try {
+      if (start === -1 || end <= start) throw jsonError;
+      data = JSON.parse(cleaned.slice(start, end + 1));
+    } catch (e) {
+      return { value: null, errors: [`JSON inválido: ${jsonError.message}`] };
+    }
+  }
+
+  const errors = [];
+  const value = normalizeToSchema(data, schema, '$', errors);
+  return { value, errors };
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+// Convierte un valor al tipo esperado cuando la conversión no es ambigua;
+// devuelve undefined si no hay conversión posible
+function coerceToSchemaType(value, types) {
+  const text = typeof value === 'string' ? value.trim() : null;
+  const emptyValue = value === null || text === '' || /^(null|none|n\/a|ninguno|ninguna|no)$/i.test(text || '');
+
+  for (const type of types) {
+    if ((type === 'integer' || type === 'number') && text !== null) {
+      // "2:30" o "1:02:03" como duración en segundos
+      const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+      if (clock) {
+        return (parseInt(clock[1] || '0') * 3600) + (parseInt(clock[2]) * 60) + parseInt(clock[3]);
+      }
+      const numeric = text.match(/^-?\d+(?:[.,]\d+)?/);
+      if (numeric) {
+        const number = parseFloat(numeric[0].replace(',', '.'));
+        return type === 'integer' ? Math.round(number) : number;
+      }
+    }
+    if (type === 'integer' && typeof value === 'number' && Number.isFinite(value)) {
+      return Math.round(value);
+    }
+    if (type === 'boolean') {
+      if (text !== null && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+      // Los campos "texto o false" usan false para indicar ausencia, nunca null
+      if (emptyValue) return false;
+    }
+    if (type === 'null' && (value === false || emptyValue)) {
+      return null;
+    }
+    if (type === 'string' && (typeof value === 'number' || (typeof value === 'boolean' && !types.includes('boolean')))) {
+      return String(value);
+    }
+    if (type === 'string' && Array.isArray(value) && value.every(item => typeof item === 'string')) {
+      return value.join(', ');
+    }
+  }
+  return undefined;
+}
+
+// Valida un valor contra un subconjunto de JSON Schema (type, properties, required,
+// items, enum, additionalProperties) corrigiendo tipos cuando es posible.
+// Los errores irreparables se acumulan en `errors` con la ruta del campo.
+function normalizeToSchema(value, schema, pointer, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  let result = value;
+
+  if (types.length > 0 && !types.some(type => matchesSchemaType(result, type))) {
+    const coerced = coerceToSchemaType(result, types);
+    if (coerced === undefined) {
+      errors.push(`${pointer}: se esperaba ${types.join(' o ')}, se recibió ${result === null ? 'null' : Array.isArray(result) ? 'array' : typeof result}`);
+      return result;
+    }
+    result = coerced;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(result)) {
+    errors.push(`${pointer}: valor no permitido (${JSON.stringify(result)})`);
+  }
+
+  if (matchesSchemaType(result, 'object') && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const normalized = {};
+
+    for (const [key, item] of Object.entries(result)) {
+      if (properties[key]) {
+        normalized[key] = normalizeToSchema(item, properties[key], `${pointer}.${key}`, errors);
+      } else if (schema.additionalProperties !== false) {
+        normalized[key] = item;
+      }
+    }
+
+    for (const key of schema.required || []) {
+      if (normalized[key] !== undefined) continue;
+      const propertyTypes = [].concat(properties[key]?.type || []);
+      if (propertyTypes.includes('boolean')) {
+        normalized[key] = false;
+      } else if (propertyTypes.includes('null')) {
+        normalized[key] = null;
+      } else {
+        errors.push(`${pointer}.${key}: campo requerido ausente`);
+      }
+    }
+    return normalized;
+  }
+
+  if (Array.isArray(result) && schema.items) {
+    return result.map((item, index) => normalizeToSchema(item, schema.items, `${pointer}[${index}]`, errors));
+  }
+
+  return result;
+}
+
+// Prompt de reparación: respuesta anterior, errores encontrados y esquema esperado
+function buildRepairPrompt(rawResponse, schema, errors) {
+  return `Tu respuesta anterior no es JSON válido según el esquema requerido.
+
+Errores encontrados:
+${errors.map(error => `- ${error}`).join('\n')}
+
+JSON Schema requerido:
+${JSON.stringify(schema, null, 2)}
+
+Respuesta anterior:
+${String(rawResponse || '').substring(0, 20000)}
+
+Corrige la respuesta y responde ÚNICAMENTE con el JSON corregido (sin markdown), sin inventar información que no estuviera en la respuesta anterior.`;
+}
+
+// Función para obtener descripción con timeouts mejorados.
+// `media` es el resultado de preprocessVideo: archivos a enviar (video, fotogramas, audio)
+// y una nota opcional para el prompt. `modelChain` es la cadena de modelos a probar en orden
+// (resolveModelChain); se omiten los de proveedores sin configurar. `onAttempt` recibe
+// cada llamada al modelo ({ kind, model, status, error, tokenUsage }) para contabilizarla;
+// `signal` aborta la llamada en curso y no se prueban más modelos.
+async function getVideoDescription(media, profile, modelChain = MODEL_CHAIN, { onAttempt = null, signal = null } = {}) {
+  const chain = modelChain.filter(model => LLM_PROVIDERS[model.provider] && LLM_PROVIDERS[model.provider].configured);
+  if (chain.length === 0) {
+    throw new Error(`Proveedor de modelos no configurado: ${[...new Set(modelChain.map(model => model.provider))].join(', ')}`);
+  }
+
+  const prepared = new Map(); // Archivos preparados por proveedor
+  let invalidOutputError = null;
+  let lastError = null;
+
+  try {
+    const files = media.files.map(file => ({
+      ...file,
+      size: fs.statSync(file.path).size,
+      mimeType: file.mimeType || MEDIA_MIME_TYPES[path.extname(file.path).toLowerCase()] || 'video/mp4'
+    }));
+    const fileSizeInMB = files.reduce((total, file) => total + file.size, 0) / (1024 * 1024);
+    
+    console.log(`📊 Tamaño a enviar: ${fileSizeInMB.toFixed(2)} MB${files.length > 1 ? ` (${files.length} archivos)` : ''}`);
+    
+    if (fileSizeInMB * 1024 * 1024 > MAX_VIDEO_SIZE) {
+      throw new JobError(`Archivo demasiado grande (${fileSizeInMB.toFixed(2)} MB). Máximo: ${MAX_VIDEO_SIZE / 1024 / 1024} MB`, { code: 'FILE_TOO_LARGE', category: 'model' });
+    }
+
+    const availableModels = chain.filter(config => fileSizeInMB <= config.maxSizeMB);
+    
+    if (availableModels.length === 0) {
+      throw new JobError(`Archivo demasiado grande para todos los modelos (${fileSizeInMB.toFixed(2)} MB)`, { code: 'FILE_TOO_LARGE', category: 'model' });
+    }
+
+    const prompt = media.note ? `${profile.prompt}\n\n${media.note}` : profile.prompt;
+
+
+    // Intentar con cada modelo disponible
+    for (const modelConfig of availableModels) {
+      const modelId = formatModelId(modelConfig);
+      const track = (kind, status, tokenUsage = null, error = null) => {
+        if (onAttempt) onAttempt({ kind, model: modelId, status, tokenUsage, error });
+      };
+      let modelTimer;
+
+      try {
+        if (signal) signal.throwIfAborted();
+        console.log(`🤖 Probando ${modelId}...`);
+        
+        const provider = LLM_PROVIDERS[modelConfig.provider];
+        if (!prepared.has(provider)) {
+          prepared.set(provider, await provider.prepareMedia(files));
+        }
+
+        // Plazo del modelo (análisis y reparaciones): al vencer se aborta su llamada en curso,
+        // que deja de consumir tokens, y se pasa al siguiente de la cadena
+        const modelController = new AbortController();
+        const modelSignal = signal ? AbortSignal.any([signal, modelController.signal]) : modelController.signal;
+        const modelAborted = new Promise((_, reject) => {
+          modelSignal.addEventListener('abort', () => reject(modelSignal.reason), { once: true });
+        });
+        modelAborted.catch(() => {});
+        modelTimer = setTimeout(() => {
+          modelController.abort(timeoutError(`Timeout en análisis con ${modelId}`, 'MODEL_TIMEOUT'));
+        }, MODEL_TIMEOUT);
+
+        let response;
+        try {
+          response = await Promise.race([
+            provider.generate(modelConfig.name, prompt, prepared.get(provider), { profile, signal: modelSignal }),
+            modelAborted
+          ]);
+        } catch (error) {
+          track('analysis', 'error', null, error.message);
+          throw error;
+        }
+        
+        const tokenUsage = addTokenUsageTotals(null, response.tokenUsage);
+        let rawResponse = response.text;
+        let output = parseModelOutput(rawResponse, profile.schema);
+        track('analysis', output.errors.length > 0 ? 'invalid' : 'ok', response.tokenUsage);
+
+        // Pedir al mismo modelo que corrija la respuesta (sin reenviar el video)
+        for (let attempt = 1; output.errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+          console.warn(`🩹 Respuesta de ${modelId} inválida (${output.errors.length} errores), reparando (${attempt}/${MAX_REPAIR_ATTEMPTS})...`);
+          let repairResponse;
+          try {
+            repairResponse = await Promise.race([
+              provider.generate(
+                modelConfig.name, buildRepairPrompt(rawResponse, profile.schema, output.errors), null, { profile, signal: modelSignal }
+              ),
+              modelAborted
+            ]);
+          } catch (error) {
+            track('repair', 'error', null, error.message);
+            throw error;
+          }
+          addTokenUsageTotals(tokenUsage, repairResponse.tokenUsage);
+          rawResponse = repairResponse.text;
+          output = parseModelOutput(rawResponse, profile.schema);
+          track('repair', output.errors.length > 0 ? 'invalid' : 'ok', repairResponse.tokenUsage);
+        }
+
+        if (output.errors.length > 0) {
+          const error = new JobError('La respuesta del modelo no cumple el esquema del perfil', {
+            code: 'MODEL_INVALID_OUTPUT',
+            category: 'model'
+          });
+          error.invalidOutput = {
+            rawResponse: rawResponse.substring(0, 1000),
+            validationErrors: output.errors,
+            modelUsed: modelId,
+            tokenUsage
+          };
+          throw error;
+        }
+        
+        return {
+          description: output.value,
+          modelUsed: modelId,
+          tokenUsage
+        };
+        
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        lastError = classifyModelError(error, modelId);
+        console.warn(`❌ ${modelId} falló [${lastError.code}]:`, error.message);
+        if (error.invalidOutput) {
+          invalidOutputError = error;
+        }
+        continue;
+      } finally {
+        clearTimeout(modelTimer);
+      }
+    }
+    
+    // Si algún modelo respondió pero sin cumplir el esquema, ese es el error relevante;
+    // si no, el del último modelo decide si el job se reintenta
+    throw invalidOutputError || new JobError(`Todos los modelos fallaron: ${lastError.message}`, {
+      code: lastError.code,
+      category: lastError.category,
+      retryable: lastError.retryable,
+      retryAfterMs: lastError.retryAfterMs,
+      cause: lastError
+    });
+    
+  } catch (error) {
+    throw toJobError(error);
+  } finally {
+    // Liberar memoria y archivos subidos de cada proveedor usado
+    for (const [provider, providerMedia] of prepared) {
+      provider.releaseMedia(providerMedia);
+    }
+    if (global.gc) global.gc();
+  }
+}
+
+function cleanupTempDir(dirPath) {
+  try {
+    fs.rmSync(dirPath, { recursive: true, force: true });
+    console.log(`🗑️ Directorio temporal eliminado: ${dirPath}`);
+  } catch (error) {
+    console.error('Error eliminando directorio temporal:', error.message);
+  }
+}
 
 function cleanupTempFile(filePath) {
   try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`🗑️ Archivo temporal eliminado: ${filePath}`);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`🗑️ Archivo temporal eliminado: ${filePath}`);
+    }
+  } catch (error) {
+    console.error('Error eliminando archivo temporal:', error.message);
+  }
+}
+
+// URL de callback http(s) sin IP interna literal (salvo WEBHOOK_ALLOWED_HOSTS); los nombres
+// se comprueban al conectar en cada entrega
+function isValidCallbackUrl(value) {
+  try {
+    assertPublicUrl(new URL(value), WEBHOOK_ALLOWED_HOSTS);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Valida que el perfil pedido exista; lanza error con status 400 si no
+async function resolveProfileName(name) {
+  const profileName = name || DEFAULT_PROFILE;
+  const profile = await getProfile(profileName);
+  if (!profile) {
+    const error = new Error(`Perfil de análisis no encontrado: ${profileName}`);
+    error.status = 400;
+    throw error;
+  }
+  return profile.name;
+}
+
+// Encola un video y responde según el modo: asíncrono (202 + jobId) o
+// síncrono (espera el resultado del job hasta HTTP_TIMEOUT)
+async function enqueueVideoRequest(req, res, asyncMode) {
+  const { videoId: locator, source = 'drive', profile, force, preprocess, provider, models, priority, callbackUrl, callbackSecret } = req.body;
+
+  if (!locator) {
+    return res.status(400).json({
+      error: 'El campo videoId es requerido'
+    });
+  }
+
+  // La clave de cache incluye la fuente (drive, url, local, s3)
+  let videoId;
+  try {
+    videoId = buildVideoKey(source, locator);
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+      source
+    });
+  }
+
+  if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+    return res.status(400).json({
+      error: 'El campo callbackUrl debe ser una URL http(s) pública válida'
+    });
+  }
+
+  let profileName;
+  let preprocessOptions;
+  let modelOptions;
+  let jobPriority;
+  try {
+    profileName = await resolveProfileName(profile);
+    preprocessOptions = parsePreprocessOptions(preprocess);
+    modelOptions = parseModelOptions({ provider, models });
+    jobPriority = parseJobPriority(priority);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+
+  console.log(`🎬 Solicitud de procesamiento: ${videoId} [${profileName}]${asyncMode ? ' (async)' : ''}`);
+
+  await enqueueAndRespond(res, videoId, {
+    profile: profileName,
+    force: force === true || force === 'true',
+    preprocess: preprocessOptions,
+    llm: modelOptions,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    client: getRequestClient(req),
+    priority: jobPriority,
+    callbackUrl,
+    callbackSecret
+  }, asyncMode);
+}
+
+// Agrega el video a la cola y responde con el job (async) o con su resultado (sync)
+async function enqueueAndRespond(res, videoId, options, asyncMode) {
+  let job;
+  try {
+    job = processingQueue.add(videoId, options);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        videoId: videoId,
+        jobId: error.job ? error.job.id : undefined
+      });
+    }
+    return res.status(500).json({
+      error: `Error encolando video: ${error.message}`,
+      videoId: videoId
+    });
+  }
+
+  if (asyncMode) {
+    return res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json(processingQueue.serializeJob(job));
+  }
+
+  try {
+    const finishedJob = await processingQueue.waitForJob(job, HTTP_TIMEOUT);
+    if (res.headersSent) return;
+
+    if (finishedJob.status === JOB_STATUS.DONE) {
+      return res.json(finishedJob.result);
+    }
+
+    if (finishedJob.status === JOB_STATUS.CANCELLED) {
+      return res.status(409).json({
+        error: finishedJob.error,
+        videoId: videoId,
+        jobId: finishedJob.id,
+        cancelled: true
+      });
+    }
+
+    res.status(500).json({
+      error: finishedJob.error,
+      videoId: videoId,
+      jobId: finishedJob.id,
+      attempts: finishedJob.attempts
+    });
+  } catch (error) {
+    console.log(`⏰ Timeout para video ${videoId} después de ${HTTP_TIMEOUT / 1000} segundos`);
+    if (!res.headersSent) {
+      // El job sigue en curso: el cliente puede consultarlo en /jobs/:id
+      res.status(408).json({
+        error: error.message,
+        videoId: videoId,
+        jobId: job.id,
+        timeout: true
+      });
+    }
+  }
+}
+
+// RUTA PRINCIPAL: POST / - Procesar video (?async=true para no esperar)
+app.post('/', analyzeAccess, async (req, res) => {
+  await enqueueVideoRequest(req, res, req.query.async === 'true');
+});
+
+// UPLOAD: POST /upload - Subir un video (multipart, campo "video") y analizarlo
+// (?async=true para no esperar). El cache usa el hash SHA-256 del contenido.
+app.post('/upload', analyzeAccess, (req, res) => {
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_VIDEO_SIZE } });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Se esperaba un formulario multipart/form-data'
+    });
+  }
+
+  const fields = {};
+  let upload = null;
+
+  busboy.on('field', (name, value) => {
+    fields[name] = value;
+  });
+
+  busboy.on('file', (name, file, info) => {
+    if (upload) {
+      file.resume();
+      return;
+    }
+    upload = receiveUpload(file, info);
+    // Evitar rechazo no manejado si el formulario falla antes de 'close'
+    upload.catch(() => {});
+  });
+
+  busboy.on('error', (error) => {
+    console.error('Error recibiendo archivo:', error.message);
+    if (!res.headersSent) {
+      res.status(400).json({
+        error: `Error recibiendo archivo: ${error.message}`
+      });
+    }
+  });
+
+  busboy.on('close', async () => {
+    if (!upload) {
+      return res.status(400).json({
+        error: 'El formulario debe incluir un archivo de video'
+      });
+    }
+
+    let received;
+    try {
+      received = await upload;
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message
+      });
+    }
+
+    try {
+      await respondToUpload(req, res, received, fields);
+    } finally {
+      releaseUpload(received.hash);
+    }
+  });
+
+  req.pipe(busboy);
+});
+
+// Encola (o responde desde cache) el análisis de un archivo recibido en POST /upload
+async function respondToUpload(req, res, received, fields) {
+  if (fields.callbackUrl && !isValidCallbackUrl(fields.callbackUrl)) {
+    return res.status(400).json({
+      error: 'El campo callbackUrl debe ser una URL http(s) pública válida'
+    });
+  }
+
+  const videoId = buildVideoKey('upload', received.hash);
+
+  let profileName;
+  let preprocessOptions;
+  let modelOptions;
+  let jobPriority;
+  try {
+    profileName = await resolveProfileName(fields.profile);
+    preprocessOptions = parsePreprocessOptions(fields.preprocess);
+    modelOptions = parseModelOptions({ provider: fields.provider, models: fields.models });
+    jobPriority = parseJobPriority(fields.priority);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+
+  try {
+    // Re-subir el mismo archivo es un acierto de cache
+    const existingVideo = fields.force === 'true' ? null : await getCachedAnalysis(videoId, profileName);
+    if (existingVideo) {
+      console.log(`✅ Video subido encontrado en cache: ${videoId}`);
+      return res.json(buildCachedResponse(existingVideo));
+    }
+  } catch (error) {
+    console.error('Error consultando cache de subida:', error.message);
+  }
+
+  console.log(`🎬 Solicitud de procesamiento (subida): ${videoId}`);
+  await enqueueAndRespond(res, videoId, {
+    profile: profileName,
+    force: fields.force === 'true',
+    preprocess: preprocessOptions,
+    llm: modelOptions,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    client: getRequestClient(req, fields),
+    priority: jobPriority,
+    callbackUrl: fields.callbackUrl || null,
+    callbackSecret: fields.callbackSecret || null
+  }, req.query.async === 'true');
+}
+
+// Estado de la cola con el orden efectivo de los jobs en espera (?limit=, 50 por defecto)
+app.get('/queue-status', readAccess, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_BATCH_SIZE);
+
+  res.json({
+    ...processingQueue.getStatus(),
+    schedule: processingQueue.getSchedule(limit),
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// QUEUE: POST /queue/pause y /queue/resume - Detener o reanudar el inicio de jobs nuevos
+app.post('/queue/pause', adminAccess, (req, res) => {
+  processingQueue.pause();
+  res.json(processingQueue.getStatus());
+});
+
+app.post('/queue/resume', adminAccess, (req, res) => {
+  processingQueue.resume();
+  res.json(processingQueue.getStatus());
+});
+
+// QUEUE: POST /queue/drain - Cancelar los jobs en espera (opcional: priority, fairnessKey)
+app.post('/queue/drain', adminAccess, (req, res) => {
+  const { priority, fairnessKey, reason } = req.body || {};
+
+  if (priority !== undefined && !JOB_PRIORITIES.includes(priority)) {
+    return res.status(400).json({
+      error: `Prioridad inválida: ${priority}. Opciones: ${JOB_PRIORITIES.join(', ')}`
+    });
+  }
+
+  const cancelled = processingQueue.drainQueued({ priority, fairnessKey }, {
+    by: getRequestAuthor(req),
+    reason: reason || 'cola vaciada'
+  });
+  console.log(`🧹 Cola vaciada: ${cancelled.length} jobs cancelados`);
+
+  res.json({
+    cancelled: cancelled.length,
+    jobIds: cancelled.map(job => job.id),
+    queue: processingQueue.getStatus()
+  });
+});
+
+// QUEUE: POST /queue/reorder - Fijar jobs al principio de la cola ({ jobIds: [] } los libera)
+app.post('/queue/reorder', adminAccess, (req, res) => {
+  const { jobIds } = req.body || {};
+
+  if (!Array.isArray(jobIds) || jobIds.some(id => typeof id !== 'string')) {
+    return res.status(400).json({
+      error: 'El campo jobIds debe ser un array de IDs de job'
+    });
+  }
+
+  try {
+    processingQueue.reorder(jobIds);
+    res.json({
+      schedule: processingQueue.getSchedule(50)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+});
+
+// Vuelve a encolar un job fallido con sus mismas opciones y lo enlaza con el nuevo job
+async function requeueDeadLetter(job, { priority } = {}) {
+  const newJob = processingQueue.add(job.videoId, {
+    profile: job.profile,
+    force: job.force,
+    preprocess: job.preprocess,
+    llm: job.llm,
+    apiKeyId: job.apiKeyId,
+    client: job.client,
+    priority: priority || job.priority,
+    fairnessKey: job.fairnessKey,
+    callbackUrl: job.callbackUrl,
+    callbackSecret: job.callbackSecret
+  });
+
+  job.requeuedAs = newJob.id;
+  await saveJob(job);
+  console.log(`♻️ Job fallido ${job.id} reencolado como ${newJob.id}`);
+  return newJob;
+}
+
+// DEAD LETTERS: GET /dead-letters - Jobs que fallaron sin más reintentos (?code=&category=)
+app.get('/dead-letters', adminAccess, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_BATCH_SIZE);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const { total, rows } = await getDeadLetterJobs({
+      code: req.query.code || null,
+      category: req.query.category || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      total,
+      limit,
+      offset,
+      jobs: rows.map(row => processingQueue.serializeJob(jobFromRow(row)))
+    });
+  } catch (error) {
+    console.error('Error obteniendo jobs fallidos:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo jobs fallidos: ${error.message}`
+    });
+  }
+});
+
+// DEAD LETTERS: POST /dead-letters/:id/requeue - Volver a encolar un job fallido
+app.post('/dead-letters/:id/requeue', adminAccess, async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+
+    if (!job || !job.deadLetteredAt) {
+      return res.status(404).json({
+        error: 'Job fallido no encontrado',
+        jobId: req.params.id
+      });
+    }
+    if (job.requeuedAs) {
+      return res.status(409).json({
+        error: 'El job ya se volvió a encolar',
+        jobId: job.id,
+        requeuedAs: job.requeuedAs
+      });
+    }
+
+    const priority = req.body && req.body.priority ? parseJobPriority(req.body.priority) : undefined;
+    const newJob = await requeueDeadLetter(job, { priority });
+    res.status(202)
+      .location(`/jobs/${newJob.id}`)
+      .json(processingQueue.serializeJob(newJob));
+  } catch (error) {
+    console.error('Error reencolando job:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : `Error reencolando job: ${error.message}`,
+      jobId: req.params.id,
+      activeJobId: error.job ? error.job.id : undefined
+    });
+  }
+});
+
+// DEAD LETTERS: POST /dead-letters/requeue - Volver a encolar todos los fallidos de un código
+// o categoría (por ejemplo, tras recuperar la cuota del modelo)
+app.post('/dead-letters/requeue', adminAccess, async (req, res) => {
+  const { code, category, priority } = req.body || {};
+
+  if (!code && !category) {
+    return res.status(400).json({
+      error: 'Indica code o category para reencolar en bloque'
+    });
+  }
+
+  try {
+    const jobPriority = priority ? parseJobPriority(priority) : undefined;
+    const { rows } = await getDeadLetterJobs({ code, category, limit: MAX_BATCH_SIZE });
+    const requeued = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      const job = processingQueue.getJob(row.id) || jobFromRow(row);
+      try {
+        const newJob = await requeueDeadLetter(job, { priority: jobPriority });
+        requeued.push({ jobId: job.id, newJobId: newJob.id });
+      } catch (error) {
+        skipped.push({ jobId: job.id, error: error.message });
+      }
+    }
+
+    res.status(202).json({
+      requeued: requeued.length,
+      skipped: skipped.length,
+      jobs: requeued,
+      errors: skipped
+    });
+  } catch (error) {
+    console.error('Error reencolando jobs fallidos:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : `Error reencolando jobs fallidos: ${error.message}`
+    });
+  }
+});
+
+// QUEUE: PUT /queue/concurrency - Cambiar la concurrencia total y por modelo sin reiniciar
+app.put('/queue/concurrency', adminAccess, (req, res) => {
+  const { max, perModel } = req.body || {};
+
+  try {
+    const concurrency = processingQueue.setConcurrency({ max, perModel });
+    console.log(`⚡ Concurrencia actualizada: ${concurrency.max} total, por modelo ${JSON.stringify(concurrency.perModel)}`);
+    res.json(concurrency);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+});
+
+// Procesamiento directo (para compatibilidad)
+app.post('/process-direct', analyzeAccess, async (req, res) => {
+  // Redirigir a la cola principal
+  await enqueueVideoRequest(req, res, false);
+});
+
+// JOBS: POST /jobs - Encolar video y devolver el jobId inmediatamente
+app.post('/jobs', analyzeAccess, async (req, res) => {
+  await enqueueVideoRequest(req, res, true);
+});
+
+// Los jobs sueltos se reparten los turnos por cliente (o API key); los lotes y las carpetas
+// usan su propia clave para no acaparar la cola
+function defaultFairnessKey(client, apiKeyId) {
+  if (client) return `client:${client}`;
+  if (apiKeyId) return `key:${apiKeyId}`;
+  return 'anonymous';
+}
+
+// Busca un job en memoria y, si ya fue purgado, en la base de datos
+async function loadJob(jobId) {
+  const job = processingQueue.getJob(jobId);
+  if (job) return job;
+
+  const row = await getJobFromDB(jobId);
+  return row ? jobFromRow(row) : null;
+}
+
+// JOBS: GET /jobs/:id - Consultar estado de un job
+app.get('/jobs/:id', jobAccess, async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job no encontrado',
+        jobId: req.params.id
+      });
+    }
+
+    res.json(processingQueue.serializeJob(job));
+  } catch (error) {
+    console.error('Error obteniendo job:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo job: ${error.message}`
+    });
+  }
+});
+
+// JOBS: DELETE /jobs/:id - Cancelar un job en cola o abortar uno en curso
+app.delete('/jobs/:id', cancelAccess, async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job no encontrado',
+        jobId: req.params.id
+      });
+    }
+
+    if (req.apiKey && !req.apiKey.scopes.includes('admin') && job.apiKeyId !== req.apiKey.id) {
+      return res.status(403).json({
+        error: 'Solo se pueden cancelar los jobs encolados con la misma API key',
+        jobId: job.id
+      });
+    }
+
+    processingQueue.cancel(job, {
+      by: getRequestAuthor(req),
+      reason: (req.body && req.body.reason) || req.query.reason || null
+    });
+
+    // Un job en curso termina en cuanto se aborta el paso que estaba ejecutando
+    await processingQueue.waitForJob(job, 10000).catch(() => {});
+    res.json(processingQueue.serializeJob(job));
+  } catch (error) {
+    console.error('Error cancelando job:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : `Error cancelando job: ${error.message}`,
+      jobId: req.params.id
+    });
+  }
+});
+
+// JOBS: GET /jobs/:id/webhooks - Entregas de webhook del job y sus intentos
+app.get('/jobs/:id/webhooks', jobAccess, async (req, res) => {
+  try {
+    const deliveries = await getWebhookDeliveriesForJob(req.params.id);
+    res.json({
+      jobId: req.params.id,
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error obteniendo webhooks:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo webhooks: ${error.message}`
+    });
+  }
+});
+
+// BATCH: POST /batch - Encolar varios videos y devolver el ID del lote
+app.post('/batch', analyzeAccess, async (req, res) => {
+  const { videoIds, source = 'drive', profile, force = false, preprocess, provider, models, priority } = req.body;
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    return res.status(400).json({
+      error: 'El campo videoIds debe ser un array no vacío'
+    });
+  }
+
+  // Duplicados dentro del lote se unifican (comparando claves ya normalizadas)
+  let uniqueIds;
+  try {
+    uniqueIds = [...new Set(videoIds.filter(id => typeof id === 'string' && id.trim()).map(id => buildVideoKey(source, id)))];
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+      source
+    });
+  }
+
+  if (uniqueIds.length === 0) {
+    return res.status(400).json({
+      error: 'El campo videoIds no contiene IDs válidos'
+    });
+  }
+
+  if (uniqueIds.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      error: `Máximo ${MAX_BATCH_SIZE} videos por lote`,
+      received: uniqueIds.length
+    });
+  }
+
+  try {
+    const profileName = await resolveProfileName(profile);
+    const preprocessOptions = parsePreprocessOptions(preprocess);
+    const modelOptions = parseModelOptions({ provider, models });
+    const jobPriority = parseJobPriority(priority);
+    const batchId = crypto.randomUUID();
+
+    const items = [];
+    for (const videoId of uniqueIds) {
+      // Videos ya analizados se responden desde cache
+      const existingVideo = force ? null : await getCachedAnalysis(videoId, profileName);
+      if (existingVideo) {
+        items.push({ videoId, jobId: null, cached: true });
+        continue;
+      }
+
+      // Duplicados con otros lotes o peticiones se unen al job existente
+      const job = processingQueue.addOrMerge(videoId, {
+        profile: profileName,
+        force: !!force,
+        preprocess: preprocessOptions,
+        llm: modelOptions,
+        apiKeyId: req.apiKey ? req.apiKey.id : null,
+        client: getRequestClient(req),
+        priority: jobPriority,
+        fairnessKey: `batch:${batchId}`
+      });
+      items.push({ videoId, jobId: job.id, cached: false });
+    }
+
+    await insertBatch(batchId, items, profileName);
+
+    const cachedCount = items.filter(item => item.cached).length;
+    console.log(`📦 Lote ${batchId}: ${items.length} videos (${cachedCount} en cache)`);
+
+    res.status(202)
+      .location(`/batch/${batchId}`)
+      .json({
+        batchId,
+        profile: profileName,
+        total: items.length,
+        cached: cachedCount,
+        queued: items.length - cachedCount,
+        duplicatesMerged: videoIds.length - items.length
+      });
+  } catch (error) {
+    console.error('Error creando lote:', error.message);
+    res.status(error.status || 500).json({
+      error: `Error creando lote: ${error.message}`
+    });
+  }
+});
+
+// BATCH: GET /batch/:id - Estado de cada video del lote y progreso agregado
+app.get('/batch/:id', jobAccess, async (req, res) => {
+  try {
+    const batch = await getBatchFromDB(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Lote no encontrado',
+        batchId: req.params.id
+      });
+    }
+
+    const items = [];
+    for (const item of batch.items) {
+      if (item.cached) {
+        const video = await getVideoFromDB(item.video_id, batch.profile);
+        items.push({
+          videoId: item.video_id,
+          jobId: null,
+          status: JOB_STATUS.DONE,
+          cached: true,
+          result: video ? buildCachedResponse(video) : null,
+          error: video ? null : 'Video eliminado de la base de datos'
+        });
+        continue;
+      }
+
+      const job = await loadJob(item.job_id);
+      items.push({
+        videoId: item.video_id,
+        jobId: item.job_id,
+        status: job ? job.status : JOB_STATUS.FAILED,
+        cached: false,
+        attempts: job ? job.attempts : 0,
+        result: job ? job.result : null,
+        error: job ? job.error : 'Job no encontrado'
+      });
+    }
+
+    const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    items.forEach(item => counts[item.status]++);
+    const finished = FINISHED_JOB_STATUSES.reduce((total, status) => total + counts[status], 0);
+
+    res.json({
+      batchId: batch.id,
+      profile: batch.profile,
+      createdAt: batch.created_at,
+      total: batch.total,
+      counts,
+      progress: batch.total > 0 ? Math.round((finished / batch.total) * 100) : 100,
+      finished: finished === batch.total,
+      items
+    });
+  } catch (error) {
+    console.error('Error obteniendo lote:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo lote: ${error.message}`
+    });
+  }
+});
+
+// FOLDERS: POST /folders/:folderId/analyze - Encolar todos los videos de una carpeta
+app.post('/folders/:folderId/analyze', analyzeAccess, async (req, res) => {
+  const { folderId } = req.params;
+  const { recursive = false, watch = false, intervalMinutes, profile, priority } = req.body || {};
+
+  const intervalMs = intervalMinutes ? Number(intervalMinutes) * 60 * 1000 : DEFAULT_WATCH_INTERVAL;
+  if (watch && (!Number.isFinite(intervalMs) || intervalMs < MIN_WATCH_INTERVAL)) {
+    return res.status(400).json({
+      error: `intervalMinutes debe ser un número mayor o igual a ${MIN_WATCH_INTERVAL / 60000}`
+    });
+  }
+
+  try {
+    const profileName = await resolveProfileName(profile);
+    const summary = await analyzeDriveFolder(folderId, {
+      recursive: !!recursive,
+      profile: profileName,
+      priority: parseJobPriority(priority)
+    });
+
+    // Registrar lo encolado como lote para poder seguir el progreso
+    let batchId = null;
+    if (summary.enqueued.length > 0) {
+      batchId = crypto.randomUUID();
+      await insertBatch(batchId, summary.enqueued.map(item => ({ ...item, cached: false })), profileName);
+    }
+
+    if (watch) {
+      await folderWatcher.watch(folderId, { recursive: !!recursive, intervalMs, profile: profileName });
+    }
+
+    console.log(`📂 Carpeta ${folderId}: ${summary.enqueued.length} encolados, ${summary.skipped} ya analizados`);
+
+    res.status(202).json({
+      folderId,
+      profile: profileName,
+      recursive: !!recursive,
+      found: summary.found,
+      skipped: summary.skipped,
+      queued: summary.enqueued.length,
+      batchId,
+      items: summary.enqueued,
+      watching: !!watch
+    });
+  } catch (error) {
+    console.error('Error analizando carpeta:', error.message);
+    res.status(error.status || 500).json({
+      error: `Error analizando carpeta: ${error.message}`,
+      folderId
+    });
+  }
+});
+
+// FOLDERS: GET /folders/watches - Carpetas vigiladas
+app.get('/folders/watches', readAccess, (req, res) => {
+  const watches = folderWatcher.list();
+  res.json({
+    count: watches.length,
+    watches
+  });
+});
+
+// FOLDERS: DELETE /folders/:folderId/watch - Dejar de vigilar una carpeta
+app.delete('/folders/:folderId/watch', adminAccess, async (req, res) => {
+  const { folderId } = req.params;
+
+  try {
+    const removed = await folderWatcher.unwatch(folderId);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'La carpeta no está vigilada',
+        folderId
+      });
+    }
+
+    res.json({
+      message: 'Carpeta ya no vigilada',
+      folderId
+    });
+  } catch (error) {
+    console.error('Error dejando de vigilar carpeta:', error.message);
+    res.status(500).json({
+      error: `Error dejando de vigilar carpeta: ${error.message}`
+    });
+  }
+});
+
+// CRUD ENDPOINTS
+// GET /videos?limit=&cursor=&sort=&fields= y filtros (ver README)
+app.get('/videos', readAccess, async (req, res) => {
+  let options;
+  try {
+    options = parseVideoListQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+
+  try {
+    const { rows, nextCursor } = await listVideos(options);
+
+    res.json({
+      count: rows.length,
+      limit: options.limit,
+      nextCursor,
+      videos: rows.map(video => serializeVideoRow(video, options.fields))
+    });
+  } catch (error) {
+    console.error('Error obteniendo videos:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo videos: ${error.message}`
+    });
+  }
+});
+
+// EXPORT: GET /export?format=csv|jsonl|xlsx - Catálogo completo (acepta los filtros y
+// el orden de GET /videos) enviado por streaming página a página
+app.get('/export', readAccess, async (req, res) => {
+  const format = String(req.query.format || 'csv');
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `Formato inválido: ${format}. Opciones: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  let options;
+  try {
+    options = parseVideoListQuery({ ...req.query, limit: undefined, cursor: undefined, fields: undefined });
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  const fileName = `videos-${new Date().toISOString().slice(0, 10)}.${format}`;
+  let exported = 0;
+
+  try {
+    const descriptionColumns = format === 'jsonl' ? [] : await getExportDescriptionColumns(req.query.profile);
+    const columns = [...EXPORT_META_COLUMNS, ...descriptionColumns.map(key => `description.${key}`), 'otros_campos'];
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: false });
+      const sheet = workbook.addWorksheet('videos');
+      sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+      for await (const video of iterateVideos(options)) {
+        if (aborted) break;
+        sheet.addRow(flattenVideoForExport(video, descriptionColumns)).commit();
+        exported++;
+      }
+      sheet.commit();
+      await workbook.commit();
+    } else if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // BOM para que Excel detecte UTF-8 (acentos)
+      await writeChunk(res, '\ufeff' + columns.map(csvEscape).join(',') + '\r\n');
+
+      for await (const video of iterateVideos(options)) {
+        if (aborted) break;
+        const row = flattenVideoForExport(video, descriptionColumns);
+        await writeChunk(res, columns.map(column => csvEscape(row[column])).join(',') + '\r\n');
+        exported++;
+      }
+      res.end();
+    } else {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+
+      for await (const video of iterateVideos(options)) {
+        if (aborted) break;
+        await writeChunk(res, JSON.stringify(serializeVideoRow(video)) + '\n');
+        exported++;
+      }
+      res.end();
+    }
+
+    console.log(`📤 Exportación ${format}: ${exported} videos${aborted ? ' (cancelada por el cliente)' : ''}`);
+  } catch (error) {
+    console.error('Error exportando videos:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        error: `Error exportando videos: ${error.message}`
+      });
+    }
+    // La respuesta ya empezó: cortar la conexión para que el cliente no la tome por completa
+    res.destroy(error);
+  }
+});
+
+// IMPORT: POST /import - Carga masiva de videos desde JSONL (el formato de
+// GET /export?format=jsonl). ?mode=skip (por defecto) conserva los existentes,
+// ?mode=replace los sobrescribe.
+app.post('/import', adminAccess, async (req, res) => {
+  const mode = String(req.query.mode || 'skip');
+
+  if (mode !== 'skip' && mode !== 'replace') {
+    return res.status(400).json({
+      error: 'El parámetro mode debe ser skip o replace'
+    });
+  }
+
+  if (req.is('application/json')) {
+    return res.status(415).json({
+      error: 'Envía el archivo como application/x-ndjson (una línea JSON por video)'
+    });
+  }
+
+  const summary = { imported: 0, replaced: 0, skipped: 0, failed: 0, errors: [] };
+  const knownProfiles = new Map();
+  let lineNumber = 0;
+
+  const fail = (message) => {
+    summary.failed++;
+    if (summary.errors.length < MAX_IMPORT_ERRORS) {
+      summary.errors.push({ line: lineNumber, error: message });
+    }
+  };
+
+  try {
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        fail(`JSON inválido: ${e.message}`);
+        continue;
+      }
+
+      if (!record || typeof record.drive_id !== 'string' || !record.drive_id) {
+        fail('El campo drive_id es requerido');
+        continue;
+      }
+      const profile = record.profile || DEFAULT_PROFILE;
+      if (record.description === undefined || record.description === null) {
+        fail('El campo description es requerido');
+        continue;
+      }
+      if (record.status && !Object.values(VIDEO_STATUS).includes(record.status)) {
+        fail(`Estado inválido: ${record.status}`);
+        continue;
+      }
+
+      if (!knownProfiles.has(profile)) {
+        knownProfiles.set(profile, !!(await getProfile(profile)));
+      }
+      if (!knownProfiles.get(profile)) {
+        fail(`Perfil de análisis no encontrado: ${profile}`);
+        continue;
+      }
+
+      try {
+        const existing = await getVideoFromDB(record.drive_id, profile);
+        if (existing && mode === 'skip') {
+          summary.skipped++;
+          continue;
+        }
+
+        await insertVideo(record.drive_id, record.description, record.tokenUsage || null, {
+          profile,
+          md5: record.content_md5 || null,
+          sha256: record.content_sha256 || null,
+          duplicateOf: record.duplicate_of || null,
+          status: record.status || VIDEO_STATUS.OK,
+          validationErrors: record.validation_errors || null,
+          modelUsed: record.model_used || null,
+          promptHash: record.prompt_hash || null,
+          createdAt: record.created_at ? parseImportTimestamp(record.created_at) : null
+        });
+
+        if ((record.status || VIDEO_STATUS.OK) === VIDEO_STATUS.OK) {
+          await recordVideoRevision(record.drive_id, profile, record.description, {
+            source: 'import',
+            author: getRequestAuthor(req),
+            previousDescription: isCachedAnalysis(existing) ? existing.description : null
+          });
+        }
+
+        if (existing) summary.replaced++;
+        else summary.imported++;
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+
+    console.log(`📥 Importación: ${summary.imported} nuevos, ${summary.replaced} reemplazados, ${summary.skipped} omitidos, ${summary.failed} con error`);
+    res.json({
+      lines: lineNumber,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error importando videos:', error.message);
+    res.status(500).json({
+      error: `Error importando videos: ${error.message}`,
+      lines: lineNumber,
+      ...summary
+    });
+  }
+});
+
+// SEARCH: GET /search/segments?q= - Búsqueda en escenas y diálogos con marcas de tiempo
+app.get('/search/segments', readAccess, async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const kind = req.query.kind || null;
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_SEARCH_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (kind && !Object.values(SEGMENT_KINDS).includes(kind)) {
+    return res.status(400).json({
+      error: `Tipo de segmento inválido: ${kind}. Opciones: ${Object.values(SEGMENT_KINDS).join(', ')}`
+    });
+  }
+
+  const match = query ? buildSearchMatch(query, []) : null;
+  if (!match) {
+    return res.status(400).json({
+      error: 'El parámetro q es requerido'
+    });
+  }
+
+  try {
+    const rows = await searchVideoSegments(match, { profile: req.query.profile || null, kind, limit, offset });
+
+    res.json({
+      query,
+      limit,
+      offset,
+      results: rows.map(row => ({
+        drive_id: row.drive_id,
+        profile: row.profile,
+        kind: row.kind,
+        start: row.start_seconds,
+        end: row.end_seconds,
+        speaker: row.speaker,
+        score: Number((-row.rank).toFixed(4)),
+        text: row.highlighted
+      }))
+    });
+  } catch (error) {
+    if (error.message.includes('fts5') || error.message.includes('syntax')) {
+      return res.status(400).json({
+        error: `Búsqueda inválida: ${error.message}`
+      });
+    }
+    console.error('Error buscando segmentos:', error.message);
+    res.status(500).json({
+      error: `Error buscando segmentos: ${error.message}`
+    });
+  }
+});
+
+// SEARCH: GET /search?q= - Búsqueda de texto completo en las descripciones
+app.get('/search', readAccess, async (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const fields = req.query.fields ? String(req.query.fields).split(',').map(field => field.trim()).filter(Boolean) : [];
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_SEARCH_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  if (!query) {
+    return res.status(400).json({
+      error: 'El parámetro q es requerido'
+    });
+  }
+
+  const unknownFields = fields.filter(field => !SEARCH_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    return res.status(400).json({
+      error: `Campos de búsqueda desconocidos: ${unknownFields.join(', ')}`,
+      fields: SEARCH_FIELDS
+    });
+  }
+
+  const match = buildSearchMatch(query, fields);
+  if (!match) {
+    return res.status(400).json({
+      error: 'La búsqueda no contiene términos válidos'
+    });
+  }
+
+  try {
+    const { total, rows } = await searchVideos(match, { profile: req.query.profile || null, limit, offset });
+
+    const results = rows.map(row => {
+      let description = row.description;
+      try {
+        description = JSON.parse(row.description);
+      } catch (e) {
+        // Mantener como string
+      }
+
+      // Solo los campos donde hubo coincidencias
+      const highlights = {};
+      for (const field of SEARCH_FIELDS) {
+        if (row[`hl_${field}`] && row[`hl_${field}`].includes('<mark>')) {
+          highlights[field] = row[`hl_${field}`];
+        }
+      }
+
+      return {
+        drive_id: row.drive_id,
+        profile: row.profile,
+        score: Number((-row.rank).toFixed(4)),
+        snippet: row.snippet,
+        highlights,
+        created_at: row.created_at,
+        description
+      };
+    });
+
+    res.json({
+      query,
+      fields: fields.length > 0 ? fields : SEARCH_FIELDS,
+      total,
+      limit,
+      offset,
+      results
+    });
+  } catch (error) {
+    if (error.message.includes('fts5') || error.message.includes('syntax')) {
+      return res.status(400).json({
+        error: `Búsqueda inválida: ${error.message}`
+      });
+    }
+    console.error('Error buscando videos:', error.message);
+    res.status(500).json({
+      error: `Error buscando videos: ${error.message}`
+    });
+  }
+});
+
+app.get('/videos/:driveId', readAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const profile = req.query.profile || DEFAULT_PROFILE;
+
+  try {
+    const video = await getVideoFromDB(driveId, profile);
+
+    if (!video) {
+      return res.status(404).json({
+        error: 'Video no encontrado'
+      });
+    }
+
+    let parsedDescription = video.description;
+    try {
+      parsedDescription = JSON.parse(video.description);
+    } catch (e) {
+      // Mantener como string
+    }
+
+    let tokenUsage = null;
+    if (video.token_usage) {
+      try {
+        tokenUsage = JSON.parse(video.token_usage);
+      } catch (e) {
+        console.warn('Error parseando token_usage');
+      }
+    }
+
+    res.json({
+      ...video,
+      description: parsedDescription,
+      tokenUsage: tokenUsage,
+      token_usage: undefined,
+      validation_errors: video.validation_errors ? JSON.parse(video.validation_errors) : null
+    });
+  } catch (error) {
+    console.error('Error obteniendo video:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo video: ${error.message}`
+    });
+  }
+});
+
+app.put('/videos/:driveId', adminAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const { description } = req.body;
+  const profile = req.query.profile || req.body.profile || DEFAULT_PROFILE;
+
+  if (!description) {
+    return res.status(400).json({
+      error: 'El campo description es requerido'
+    });
+  }
+
+  try {
+    const currentVideo = await getVideoFromDB(driveId, profile);
+
+    if (!currentVideo) {
+      return res.status(404).json({
+        error: 'Video no encontrado'
+      });
+    }
+
+    await updateVideo(description, driveId, profile);
+    const { revision } = await recordVideoRevision(driveId, profile, description, {
+      source: 'manual',
+      author: getRequestAuthor(req),
+      previousDescription: currentVideo.description
+    });
+
+    const updatedVideo = await getVideoFromDB(driveId, profile);
+    res.json({
+      message: 'Descripción actualizada exitosamente',
+      revision,
+      video: updatedVideo
+    });
+  } catch (error) {
+    console.error('Error actualizando video:', error.message);
+    res.status(500).json({
+      error: `Error actualizando video: ${error.message}`
+    });
+  }
+});
+
+// Prioridad indicada en la petición; lanza error 400 si no es válida
+function parseJobPriority(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_JOB_PRIORITY;
+  }
+  if (!JOB_PRIORITIES.includes(value)) {
+    const error = new Error(`Prioridad inválida: ${value}. Opciones: ${JOB_PRIORITIES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return value;
+}
+
+// Cliente al que se imputa el consumo: X-Client-Id, el campo client o el nombre de la API key.
+// En las subidas multipart los campos llegan aparte del cuerpo
+function getRequestClient(req, fields = req.body) {
+  return req.get('X-Client-Id') || (fields && fields.client) || (req.apiKey ? req.apiKey.name : null);
+}
+
+// Autor de una edición manual o cancelación. Con API key manda el nombre de la clave y la
+// cabecera X-Author (o el campo author) solo se añade entre paréntesis, para que nadie
+// pueda firmar con el nombre de otro; sin autenticación se usa tal cual
+function getRequestAuthor(req) {
+  const declared = req.get('X-Author') || (req.body && req.body.author) || null;
+  if (!req.apiKey) {
+    return declared;
+  }
+  return declared && declared !== req.apiKey.name ? `${req.apiKey.name} (${declared})` : req.apiKey.name;
+}
+
+function serializeRevision(row) {
+  let description = row.description;
+  try {
+    description = JSON.parse(row.description);
+  } catch (e) {
+    // Mantener como string
+  }
+
+  return {
+    revision: row.revision,
+    source: row.source,
+    author: row.author,
+    createdAt: row.created_at,
+    restoredFrom: row.restored_from,
+    diff: row.diff ? JSON.parse(row.diff) : null,
+    description
+  };
+}
+
+// Marca de tiempo de subtítulos: HH:MM:SS,mmm (SRT) o HH:MM:SS.mmm (WebVTT)
+function formatSubtitleTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+function buildSubtitles(segments, format) {
+  if (format === 'vtt') {
+    const cues = segments.map(segment => {
+      const text = segment.speaker ? `<v ${segment.speaker}>${segment.text}` : segment.text;
+      return `${formatSubtitleTime(segment.start_seconds, '.')} --> ${formatSubtitleTime(segment.end_seconds, '.')}\n${text}`;
+    });
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  return segments.map((segment, index) => {
+    const text = segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+    return `${index + 1}\n${formatSubtitleTime(segment.start_seconds, ',')} --> ${formatSubtitleTime(segment.end_seconds, ',')}\n${text}`;
+  }).join('\n\n') + '\n';
+}
+
+// SEGMENTS: escenas y diálogos con marcas de tiempo (perfil 'segmentos' por defecto)
+app.get('/videos/:driveId/segments', readAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const profile = req.query.profile || SEGMENTS_PROFILE;
+  const kind = req.query.kind || null;
+
+  if (kind && !Object.values(SEGMENT_KINDS).includes(kind)) {
+    return res.status(400).json({
+      error: `Tipo de segmento inválido: ${kind}. Opciones: ${Object.values(SEGMENT_KINDS).join(', ')}`
+    });
+  }
+
+  try {
+    const segments = await getVideoSegments(driveId, profile, kind);
+
+    if (segments.length === 0 && !(await getVideoFromDB(driveId, profile))) {
+      return res.status(404).json({
+        error: 'Video no encontrado',
+        hint: `Analiza el video con el perfil "${SEGMENTS_PROFILE}" para obtener segmentos`
+      });
     }
+
+    res.json({
+      drive_id: driveId,
+      profile,
+      count: segments.length,
+      segments: segments.map(segment => ({
+        kind: segment.kind,
+        start: segment.start_seconds,
+        end: segment.end_seconds,
+        speaker: segment.speaker,
+        text: segment.text
+      }))
+    });
   } catch (error) {
-    console.error('Error eliminando archivo temporal:', error.message);
+    console.error('Error obteniendo segmentos:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo segmentos: ${error.message}`
+    });
   }
-}
+});
 
-// RUTA PRINCIPAL: POST / - Procesar video
-app.post('/', async (req, res) => {
-  const { videoId } = req.body;
+// GET /videos/:driveId/subtitles?format=srt|vtt&kind=dialogue|scene - Descarga de subtítulos.
+// Sin kind se usan los diálogos y, si el video no tiene, las escenas.
+app.get('/videos/:driveId/subtitles', readAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const profile = req.query.profile || SEGMENTS_PROFILE;
+  const format = String(req.query.format || 'srt');
+  const kind = req.query.kind || null;
 
-  if (!videoId) {
+  if (!SUBTITLE_FORMATS.includes(format)) {
     return res.status(400).json({
-      error: 'El campo videoId es requerido'
+      error: `Formato inválido: ${format}. Opciones: ${SUBTITLE_FORMATS.join(', ')}`
+    });
+  }
+  if (kind && !Object.values(SEGMENT_KINDS).includes(kind)) {
+    return res.status(400).json({
+      error: `Tipo de segmento inválido: ${kind}. Opciones: ${Object.values(SEGMENT_KINDS).join(', ')}`
     });
   }
 
-  console.log(`🎬 Solicitud de procesamiento: ${videoId}`);
-  
-  // Siempre usar la cola para mejor control
-  processingQueue.add(videoId, res);
+  try {
+    let segments = await getVideoSegments(driveId, profile, kind || SEGMENT_KINDS.DIALOGUE);
+    if (!kind && segments.length === 0) {
+      segments = await getVideoSegments(driveId, profile, SEGMENT_KINDS.SCENE);
+    }
+
+    if (segments.length === 0) {
+      return res.status(404).json({
+        error: 'El video no tiene segmentos con marcas de tiempo',
+        hint: `Analiza el video con el perfil "${SEGMENTS_PROFILE}" para obtener subtítulos`
+      });
+    }
+
+    const fileName = `${driveId.replace(/[^\w.-]/g, '_')}.${format}`;
+    res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buildSubtitles(segments, format));
+  } catch (error) {
+    console.error('Error generando subtítulos:', error.message);
+    res.status(500).json({
+      error: `Error generando subtítulos: ${error.message}`
+    });
+  }
 });
 
-// Estado de la cola
-app.get('/queue-status', (req, res) => {
-  res.json({
-    ...processingQueue.getStatus(),
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+app.get('/videos/:driveId/revisions', readAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const profile = req.query.profile || DEFAULT_PROFILE;
+
+  try {
+    const revisions = await getVideoRevisions(driveId, profile);
+
+    if (revisions.length === 0 && !(await getVideoFromDB(driveId, profile))) {
+      return res.status(404).json({
+        error: 'Video no encontrado'
+      });
+    }
+
+    res.json({
+      drive_id: driveId,
+      profile,
+      count: revisions.length,
+      revisions: revisions.map(serializeRevision)
+    });
+  } catch (error) {
+    console.error('Error obteniendo revisiones:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo revisiones: ${error.message}`
+    });
+  }
 });
 
-// Procesamiento directo (para compatibilidad)
-app.post('/process-direct', async (req, res) => {
-  const { videoId } = req.body;
+// Restaurar una revisión crea una revisión nueva (manual) con su descripción
+app.post('/videos/:driveId/revisions/:rev/restore', adminAccess, async (req, res) => {
+  const { driveId } = req.params;
+  const profile = req.query.profile || req.body.profile || DEFAULT_PROFILE;
+  const rev = parseInt(req.params.rev);
 
-  if (!videoId) {
+  if (!Number.isInteger(rev) || rev < 1) {
     return res.status(400).json({
-      error: 'El campo videoId es requerido'
+      error: 'El número de revisión debe ser un entero positivo'
     });
   }
 
-  // Redirigir a la cola principal
-  processingQueue.add(videoId, res);
-});
-
-// CRUD ENDPOINTS
-app.get('/videos', async (req, res) => {
   try {
-    const videos = await getAllVideos();
+    const target = await getVideoRevision(driveId, profile, rev);
 
-    const videosWithTokenUsage = videos.map(video => {
-      let parsedDescription = video.description;
-      try {
-        parsedDescription = JSON.parse(video.description);
-      } catch (e) {
-        // Mantener como string si no es JSON válido
-      }
+    if (!target) {
+      return res.status(404).json({
+        error: 'Revisión no encontrada'
+      });
+    }
 
-      let tokenUsage = null;
-      if (video.token_usage) {
-        try {
-          tokenUsage = JSON.parse(video.token_usage);
-        } catch (e) {
-          console.warn(`Error parseando token_usage para ${video.drive_id}`);
-        }
-      }
+    const result = await updateVideo(target.description, driveId, profile);
 
-      return {
-        ...video,
-        description: parsedDescription,
-        tokenUsage: tokenUsage,
-        token_usage: undefined
-      };
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Video no encontrado'
+      });
+    }
+
+    const { revision } = await recordVideoRevision(driveId, profile, target.description, {
+      source: 'manual',
+      author: getRequestAuthor(req),
+      restoredFrom: rev
     });
 
     res.json({
-      count: videosWithTokenUsage.length,
-      videos: videosWithTokenUsage
+      message: `Revisión ${rev} restaurada exitosamente`,
+      revision,
+      video: await getVideoFromDB(driveId, profile)
     });
   } catch (error) {
-    console.error('Error obteniendo videos:', error.message);
+    console.error('Error restaurando revisión:', error.message);
     res.status(500).json({
-      error: `Error obteniendo videos: ${error.message}`
+      error: `Error restaurando revisión: ${error.message}`
     });
   }
 });
 
-app.get('/videos/:driveId', async (req, res) => {
+app.delete('/videos/:driveId', adminAccess, async (req, res) => {
   const { driveId } = req.params;
+  const profile = req.query.profile || DEFAULT_PROFILE;
 
   try {
-    const video = await getVideoFromDB(driveId);
+    const result = await deleteVideo(driveId, profile);
 
-    if (!video) {
+    if (result.changes === 0) {
       return res.status(404).json({
         error: 'Video no encontrado'
       });
     }
 
-    let parsedDescription = video.description;
-    try {
-      parsedDescription = JSON.parse(video.description);
-    } catch (e) {
-      // Mantener como string
-    }
+    res.json({
+      message: 'Video eliminado exitosamente',
+      drive_id: driveId,
+      profile
+    });
+  } catch (error) {
+    console.error('Error eliminando video:', error.message);
+    res.status(500).json({
+      error: `Error eliminando video: ${error.message}`
+    });
+  }
+});
 
-    let tokenUsage = null;
-    if (video.token_usage) {
-      try {
-        tokenUsage = JSON.parse(video.token_usage);
-      } catch (e) {
-        console.warn('Error parseando token_usage');
-      }
+// Valida nombre, prompt y schema de un perfil; devuelve un mensaje de error o null
+function validateProfileInput({ name, prompt, schema }, { partial = false } = {}) {
+  if (!partial && (typeof name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(name))) {
+    return 'El campo name es requerido (letras, números, "_" o "-", máximo 64)';
+  }
+  if ((!partial || prompt !== undefined) && (typeof prompt !== 'string' || !prompt.trim())) {
+    return 'El campo prompt es requerido';
+  }
+  if (!partial || schema !== undefined) {
+    if (!schema || typeof schema !== 'object' || schema.type !== 'object' || typeof schema.properties !== 'object') {
+      return 'El campo schema debe ser un JSON Schema con type "object" y properties';
     }
+  }
+  return null;
+}
 
+// PROFILES: perfiles de análisis (prompt + JSON schema)
+app.get('/profiles', readAccess, async (req, res) => {
+  try {
+    const profiles = await getAllProfiles();
     res.json({
-      ...video,
-      description: parsedDescription,
-      tokenUsage: tokenUsage,
-      token_usage: undefined
+      count: profiles.length,
+      profiles
     });
   } catch (error) {
-    console.error('Error obteniendo video:', error.message);
+    console.error('Error obteniendo perfiles:', error.message);
     res.status(500).json({
-      error: `Error obteniendo video: ${error.message}`
+      error: `Error obteniendo perfiles: ${error.message}`
     });
   }
 });
 
-app.put('/videos/:driveId', async (req, res) => {
-  const { driveId } = req.params;
-  const { description } = req.body;
+app.get('/profiles/:name', readAccess, async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.name);
 
-  if (!description) {
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Perfil no encontrado'
+      });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error obteniendo perfil:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo perfil: ${error.message}`
+    });
+  }
+});
+
+app.post('/profiles', adminAccess, async (req, res) => {
+  const { name, description, prompt, schema } = req.body;
+
+  const validationError = validateProfileInput({ name, prompt, schema });
+  if (validationError) {
     return res.status(400).json({
-      error: 'El campo description es requerido'
+      error: validationError
+    });
+  }
+
+  try {
+    await insertProfile({ name, description, prompt, schema });
+    res.status(201).json({
+      message: 'Perfil creado exitosamente',
+      profile: await getProfile(name)
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        error: 'Ya existe un perfil con ese nombre',
+        name
+      });
+    }
+    console.error('Error creando perfil:', error.message);
+    res.status(500).json({
+      error: `Error creando perfil: ${error.message}`
+    });
+  }
+});
+
+app.put('/profiles/:name', adminAccess, async (req, res) => {
+  const { name } = req.params;
+  const { description, prompt, schema } = req.body;
+
+  const validationError = validateProfileInput({ prompt, schema }, { partial: true });
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError
     });
   }
 
   try {
-    const result = await updateVideo(description, driveId);
+    const result = await updateProfile(name, { description, prompt, schema });
 
     if (result.changes === 0) {
       return res.status(404).json({
-        error: 'Video no encontrado'
+        error: 'Perfil no encontrado'
       });
     }
 
-    const updatedVideo = await getVideoFromDB(driveId);
     res.json({
-      message: 'Descripción actualizada exitosamente',
-      video: updatedVideo
+      message: 'Perfil actualizado exitosamente',
+      profile: await getProfile(name)
     });
   } catch (error) {
-    console.error('Error actualizando video:', error.message);
+    console.error('Error actualizando perfil:', error.message);
     res.status(500).json({
-      error: `Error actualizando video: ${error.message}`
+      error: `Error actualizando perfil: ${error.message}`
     });
   }
 });
 
-app.delete('/videos/:driveId', async (req, res) => {
-  const { driveId } = req.params;
+app.delete('/profiles/:name', adminAccess, async (req, res) => {
+  const { name } = req.params;
+
+  if (name === DEFAULT_PROFILE) {
+    return res.status(400).json({
+      error: 'El perfil por defecto no se puede eliminar'
+    });
+  }
 
   try {
-    const result = await deleteVideo(driveId);
+    const result = await deleteProfile(name);
 
     if (result.changes === 0) {
       return res.status(404).json({
-        error: 'Video no encontrado'
+        error: 'Perfil no encontrado'
       });
     }
 
     res.json({
-      message: 'Video eliminado exitosamente',
-      drive_id: driveId
+      message: 'Perfil eliminado exitosamente',
+      name
     });
   } catch (error) {
-    console.error('Error eliminando video:', error.message);
+    console.error('Error eliminando perfil:', error.message);
     res.status(500).json({
-      error: `Error eliminando video: ${error.message}`
+      error: `Error eliminando perfil: ${error.message}`
+    });
+  }
+});
+
+// USAGE: GET /usage - Tokens y coste estimado agrupados por día, modelo o cliente
+function parseUsageQuery(query) {
+  const groupBy = query.group_by || 'day';
+  if (!USAGE_GROUPS.includes(groupBy)) {
+    const error = new Error(`Agrupación inválida: ${groupBy}. Opciones: ${USAGE_GROUPS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Por defecto, el mes en curso (UTC)
+  const now = new Date();
+  const from = query.from ? toDbTimestamp(query.from, 'from') : toDbTimestamp(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1), 'from');
+  const to = query.to ? toDbTimestamp(query.to, 'to') : toDbTimestamp(now, 'to');
+
+  const where = ['created_at >= ?', 'created_at <= ?'];
+  const params = [from, to];
+  if (query.model) {
+    where.push('model = ?');
+    params.push(String(query.model));
+  }
+  if (query.client) {
+    where.push('client = ?');
+    params.push(String(query.client));
+  }
+
+  return { groupBy, from, to, where, params };
+}
+
+function buildUsageReport(rows, { groupBy, from, to }) {
+  const emptyTotals = () => ({
+    attempts: 0,
+    failedAttempts: 0,
+    promptTokens: 0,
+    candidatesTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0
+  });
+  const addRow = (target, row, cost) => {
+    target.attempts += row.attempts;
+    target.failedAttempts += row.failed_attempts;
+    target.promptTokens += row.prompt_tokens;
+    target.candidatesTokens += row.candidates_tokens;
+    target.totalTokens += row.total_tokens;
+    target.estimatedCost = Number((target.estimatedCost + (cost || 0)).toFixed(6));
+  };
+
+  const groups = new Map();
+  const totals = emptyTotals();
+  const unpricedModels = new Set();
+
+  for (const row of rows) {
+    const cost = estimateCost(row.model, {
+      promptTokens: row.prompt_tokens,
+      candidatesTokens: row.candidates_tokens,
+      totalTokens: row.total_tokens
+    });
+    if (cost === null) unpricedModels.add(row.model);
+
+    if (!groups.has(row.group_key)) {
+      groups.set(row.group_key, { [groupBy]: row.group_key, ...emptyTotals() });
+    }
+    addRow(groups.get(row.group_key), row, cost);
+    addRow(totals, row, cost);
+  }
+
+  return {
+    groupBy,
+    from,
+    to,
+    currency: 'USD',
+    groups: [...groups.values()],
+    totals,
+    unpricedModels: [...unpricedModels]
+  };
+}
+
+app.get('/usage', adminAccess, async (req, res) => {
+  let query;
+  try {
+    query = parseUsageQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 500).json({
+      error: error.message
+    });
+  }
+
+  try {
+    const rows = await getUsageSummary(query);
+    res.json(buildUsageReport(rows, query));
+  } catch (error) {
+    console.error('Error generando informe de consumo:', error.message);
+    res.status(500).json({
+      error: `Error generando informe de consumo: ${error.message}`
+    });
+  }
+});
+
+// API KEYS: alta, consulta y revocación (scope admin)
+function validateApiKeyInput({ name, scopes, rateLimit, tokenQuota, quotaPeriod }) {
+  if (!name || typeof name !== 'string') {
+    return 'El campo name es obligatorio';
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    return `El campo scopes debe ser una lista con: ${API_KEY_SCOPES.join(', ')}`;
+  }
+  if (rateLimit !== undefined && rateLimit !== null && !(Number.isInteger(rateLimit) && rateLimit >= 0)) {
+    return 'El campo rateLimit debe ser un entero >= 0 (peticiones por minuto, 0 = sin límite)';
+  }
+  if (tokenQuota !== undefined && tokenQuota !== null && !(Number.isInteger(tokenQuota) && tokenQuota >= 0)) {
+    return 'El campo tokenQuota debe ser un entero >= 0 (0 = sin cuota)';
+  }
+  if (quotaPeriod !== undefined && !API_KEY_QUOTA_PERIODS.includes(quotaPeriod)) {
+    return `El campo quotaPeriod debe ser: ${API_KEY_QUOTA_PERIODS.join(', ')}`;
+  }
+  return null;
+}
+
+app.post('/api-keys', adminAccess, async (req, res) => {
+  const validationError = validateApiKeyInput(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError
+    });
+  }
+
+  const { name, scopes, rateLimit, tokenQuota, quotaPeriod = 'month' } = req.body;
+
+  try {
+    const apiKey = await apiKeys.issue({
+      name,
+      scopes: [...new Set(scopes)],
+      rateLimit: rateLimit === undefined ? DEFAULT_API_KEY_RATE_LIMIT : (rateLimit || null),
+      tokenQuota: tokenQuota || null,
+      quotaPeriod
+    });
+    res.status(201).json(apiKey);
+  } catch (error) {
+    console.error('Error creando API key:', error.message);
+    res.status(500).json({
+      error: `Error creando API key: ${error.message}`
+    });
+  }
+});
+
+app.get('/api-keys', adminAccess, async (req, res) => {
+  try {
+    const rows = await getApiKeysFromDB();
+    const keys = [];
+    for (const row of rows) {
+      const apiKey = apiKeyFromRow(row);
+      keys.push({ ...apiKey, usage: await apiKeys.getQuotaUsage(apiKey) });
+    }
+    res.json({ count: keys.length, keys });
+  } catch (error) {
+    console.error('Error listando API keys:', error.message);
+    res.status(500).json({
+      error: `Error listando API keys: ${error.message}`
+    });
+  }
+});
+
+app.get('/api-keys/:id', adminAccess, async (req, res) => {
+  try {
+    const row = await getApiKeyById(req.params.id);
+    if (!row) {
+      return res.status(404).json({
+        error: 'API key no encontrada',
+        id: req.params.id
+      });
+    }
+    const apiKey = apiKeyFromRow(row);
+    res.json({ ...apiKey, usage: await apiKeys.getQuotaUsage(apiKey) });
+  } catch (error) {
+    console.error('Error obteniendo API key:', error.message);
+    res.status(500).json({
+      error: `Error obteniendo API key: ${error.message}`
+    });
+  }
+});
+
+app.delete('/api-keys/:id', adminAccess, async (req, res) => {
+  try {
+    const result = await revokeApiKey(req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'API key no encontrada o ya revocada',
+        id: req.params.id
+      });
+    }
+    console.log(`🔒 API key revocada: ${req.params.id}`);
+    res.json({
+      message: 'API key revocada',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error revocando API key:', error.message);
+    res.status(500).json({
+      error: `Error revocando API key: ${error.message}`
     });
   }
 });
@@ -838,8 +7439,8 @@ app.get('/health', (req, res) => {
     uptime: `${Math.floor(process.uptime() / 60)} minutos`,
     processing: {
       current: currentProcessing,
-      max: MAX_CONCURRENT_REQUESTS,
-      available: MAX_CONCURRENT_REQUESTS - currentProcessing,
+      max: processingQueue.concurrency.max,
+      available: Math.max(processingQueue.concurrency.max - currentProcessing, 0),
       queue: processingQueue.getStatus()
     },
     memory: {
@@ -851,7 +7452,8 @@ app.get('/health', (req, res) => {
     services: {
       database: 'Connected',
       googleDrive: drive ? 'Configured' : 'Not configured',
-      geminiAI: genAI ? 'Configured' : 'Not configured'
+      geminiAI: LLM_PROVIDERS.gemini.configured ? 'Configured' : 'Not configured',
+      modelChain: MODEL_CHAIN.map(formatModelId)
     },
     timeouts: {
       http: `${HTTP_TIMEOUT / 1000}s`,
@@ -886,6 +7488,24 @@ if (!fs.existsSync(tmpDir)) {
   fs.mkdirSync(tmpDir, { recursive: true });
 }
 
+// Borra un archivo temporal salvo los de jobs en curso; de los directorios solo los de
+// preprocesamiento propios
+function removeTempEntry(name, stats) {
+  const entryPath = path.join(tmpDir, name);
+  if (activeTempPaths.has(entryPath)) {
+    return false;
+  }
+  if (!stats.isDirectory()) {
+    fs.unlinkSync(entryPath);
+    return true;
+  }
+  if (name.startsWith('preprocess_')) {
+    fs.rmSync(entryPath, { recursive: true, force: true });
+    return true;
+  }
+  return false;
+}
+
 // Limpiar archivos temporales antiguos al inicio
 try {
   const files = fs.readdirSync(tmpDir);
@@ -898,8 +7518,7 @@ try {
     const ageInMinutes = (now - stats.mtime.getTime()) / (1000 * 60);
     
     if (ageInMinutes > 30) { // Archivos más antiguos de 30 minutos
-      fs.unlinkSync(filePath);
-      cleaned++;
+      if (removeTempEntry(file, stats)) cleaned++;
     }
   });
   
@@ -918,7 +7537,10 @@ const server = app.listen(PORT, () => {
   console.log(`📋 Sistema de cola con reintentos automáticos`);
   console.log(`📊 Base de datos SQLite inicializada`);
   console.log(`🔧 Google Drive API: ${drive ? 'Configurada ✅' : 'No configurada ❌'}`);
-  console.log(`🤖 Gemini AI: ${genAI ? 'Configurada ✅' : 'No configurada ❌'}`);
+  console.log(`🤖 Gemini AI: ${LLM_PROVIDERS.gemini.configured ? 'Configurada ✅' : 'No configurada ❌'}`);
+  if (LLM_ENABLE_MOCK) console.log('🧪 Proveedor mock activado (LLM_ENABLE_MOCK): solo para pruebas ⚠️');
+  console.log(`🔑 API keys: ${apiKeys.enabled ? 'requeridas ✅' : 'desactivadas (configura ADMIN_API_KEY) ⚠️'}`);
+  console.log(`🔗 Cadena de modelos: ${MODEL_CHAIN.map(formatModelId).join(' → ')}`);
   console.log(`📁 Directorio temporal: ${tmpDir}`);
   console.log(`💾 Memoria inicial: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)} MB`);
   console.log(`🗑️ Garbage collection: ${global.gc ? 'Habilitado' : 'Ejecutar con --expose-gc'}`);
@@ -928,11 +7550,29 @@ const server = app.listen(PORT, () => {
 server.setTimeout(HTTP_TIMEOUT + 30000); // 30s extra de margen
 
 // Manejo de cierre graceful
-const gracefulShutdown = () => {
+let shuttingDown = false;
+const gracefulShutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
   console.log('\n🔄 Iniciando cierre graceful...');
   console.log(`📊 Videos en procesamiento: ${currentProcessing}`);
   console.log(`📋 Videos en cola: ${processingQueue.getStatus().queueLength}`);
   
+  // Forzar cierre si la espera de jobs y el cierre de conexiones se alargan
+  setTimeout(() => {
+    console.log('⚠️ Forzando cierre del proceso');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT + 10000);
+
+  // Dejar de aceptar trabajo y esperar a los análisis en curso
+  const drained = await processingQueue.drain(SHUTDOWN_TIMEOUT);
+  if (drained) {
+    console.log('✅ Sin análisis en curso');
+  } else {
+    console.log(`⚠️ ${currentProcessing} análisis sin terminar; se reanudarán al reiniciar`);
+  }
+
   server.close(() => {
     console.log('🌐 Servidor HTTP cerrado');
     db.close((err) => {
@@ -944,12 +7584,6 @@ const gracefulShutdown = () => {
       process.exit(0);
     });
   });
-  
-  // Forzar cierre después de 10 segundos
-  setTimeout(() => {
-    console.log('⚠️ Forzando cierre del proceso');
-    process.exit(1);
-  }, 10000);
 };
 
 process.on('SIGINT', gracefulShutdown);
@@ -962,7 +7596,7 @@ setInterval(() => {
   const queueStatus = processingQueue.getStatus();
   
   if (memUsedMB > 200 || queueStatus.queueLength > 5 || currentProcessing > 0) {
-    console.log(`📊 Memoria: ${memUsedMB} MB | Cola: ${queueStatus.queueLength} | Procesando: ${currentProcessing}/${MAX_CONCURRENT_REQUESTS}`);
+    console.log(`📊 Memoria: ${memUsedMB} MB | Cola: ${queueStatus.queueLength} | Procesando: ${currentProcessing}/${processingQueue.concurrency.max}`);
   }
   
   // GC agresivo si hay mucha memoria en uso
@@ -986,8 +7620,7 @@ setInterval(() => {
         const ageInMinutes = (now - stats.mtime.getTime()) / (1000 * 60);
         
         if (ageInMinutes > 15) { // Limpiar archivos de más de 15 minutos
-          fs.unlinkSync(filePath);
-          cleaned++;
+          if (removeTempEntry(file, stats)) cleaned++;
         }
       } catch (error) {
         // Ignorar errores de archivos individuales
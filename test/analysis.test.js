@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, waitFor } = require('./helpers');
+
+const FIXTURE = {
+  texto_visible: false,
+  musica_fondo: 'Guitarra acústica',
+  objetos_presentes: 'Una pelota roja',
+  personas: 'Un niño',
+  acciones: 'El niño chuta la pelota',
+  colores_predominantes: 'verde',
+  ambiente_contexto: 'parque',
+  dialogo_narracion: false,
+  duracion_segundos: 12,
+  duracion_formato: '0:12'
+};
+// La respuesta para este video no cumple el esquema; la reparación (sin video) usa
+// los valores generados por el mock
+const REPAIR_VIDEO = 'video que necesita reparación';
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    videos: {
+      'clip.mp4': 'video de prueba',
+      'repair.mp4': REPAIR_VIDEO,
+      'fallback.mp4': 'video con fallback',
+      'retry.mp4': 'video con reintentos'
+    },
+    fixtures: {
+      'default.json': FIXTURE,
+      [`${sha256(REPAIR_VIDEO)}.json`]: { duracion_segundos: 'doce y pico' }
+    },
+    env: {
+      JOB_MAX_RETRIES: '1',
+      RETRY_BASE_DELAY_MS: '50'
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function analyze(videoId, body = {}, headers = {}) {
+  const { status, body: job } = await server.request('POST', '/jobs', { source: 'local', videoId, ...body }, headers);
+  assert.equal(status, 202, JSON.stringify(job));
+  return server.waitForJob(job.jobId);
+}
+
+test('analiza un video con el proveedor mock y reutiliza el resultado como cache', async () => {
+  const job = await analyze('clip.mp4');
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.result.description, FIXTURE);
+  assert.equal(job.result.modelUsed, 'mock:mock-1');
+  assert.ok(job.result.tokenUsage.totalTokens > 0);
+
+  const cached = await analyze('clip.mp4');
+  assert.equal(cached.status, 'done');
+  assert.equal(cached.result.cached, true);
+  assert.deepEqual(cached.result.description, FIXTURE);
+});
+
+test('repara una respuesta que no cumple el esquema sin reenviar el video', async () => {
+  const job = await analyze('repair.mp4', {}, { 'X-Client-Id': 'reparacion' });
+  assert.equal(job.status, 'done');
+  assert.equal(Number.isInteger(job.result.description.duracion_segundos), true);
+  assert.equal(typeof job.result.description.duracion_formato, 'string');
+
+  // Análisis inválido + reparación válida, ambos contabilizados
+  const usage = await waitFor(async () => {
+    const { body } = await server.request('GET', '/usage?client=reparacion');
+    return body.totals.attempts === 2 ? body : undefined;
+  }, { message: 'al registro de consumo' });
+  assert.equal(usage.totals.failedAttempts, 1);
+});
+
+test('pasa al siguiente modelo de la cadena si uno falla o responde mal', async () => {
+  const afterError = await analyze('fallback.mp4', { force: true, models: ['mock:mock-unavailable', 'mock:mock-1'] });
+  assert.equal(afterError.status, 'done');
+  assert.equal(afterError.result.modelUsed, 'mock:mock-1');
+  assert.equal(afterError.attempts, 1);
+
+  const afterInvalid = await analyze('fallback.mp4', { force: true, models: ['mock:mock-invalid', 'mock:mock-1'] });
+  assert.equal(afterInvalid.status, 'done');
+  assert.equal(afterInvalid.result.modelUsed, 'mock:mock-1');
+});
+
+test('un análisis irreparable falla sin reintentos', async () => {
+  const job = await analyze('fallback.mp4', { force: true, models: ['mock:mock-invalid'] });
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.errorCode, 'MODEL_INVALID_OUTPUT');
+  assert.ok(job.validationErrors.length > 0);
+});
+
+test('un re-análisis que no cumple el esquema conserva el análisis válido anterior', async () => {
+  const failed = await analyze('clip.mp4', { force: true, models: ['mock:mock-invalid'] });
+  assert.equal(failed.status, 'failed');
+
+  const { body: video } = await server.request('GET', '/videos/local:clip.mp4');
+  assert.equal(video.status, 'ok');
+  assert.deepEqual(video.description, FIXTURE);
+
+  const { body: search } = await server.request('GET', '/search?q=pelota');
+  assert.ok(search.results.some(result => result.drive_id === 'local:clip.mp4'));
+});
+
+test('reintenta los errores transitorios y deja el job en la lista de fallidos', async () => {
+  const job = await analyze('retry.mp4', { models: ['mock:mock-unavailable'] });
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.errorCode, 'MODEL_UNAVAILABLE');
+  assert.equal(job.errorCategory, 'model');
+  assert.ok(job.deadLetteredAt);
+
+  const missing = await analyze('no-existe.mp4');
+  assert.equal(missing.status, 'failed');
+  assert.equal(missing.attempts, 1);
+  assert.equal(missing.errorCode, 'DOWNLOAD_NOT_FOUND');
+
+  const { body: deadLetters } = await server.request('GET', '/dead-letters?code=MODEL_UNAVAILABLE');
+  assert.deepEqual(deadLetters.jobs.map(item => item.jobId), [job.jobId]);
+
+  const { status, body: requeued } = await server.request('POST', `/dead-letters/${job.jobId}/requeue`, { priority: 'high' });
+  assert.equal(status, 202);
+  assert.equal(requeued.priority, 'high');
+
+  const { body: original } = await server.request('GET', `/jobs/${job.jobId}`);
+  assert.equal(original.requeuedAs, requeued.jobId);
+  const { status: again } = await server.request('POST', `/dead-letters/${job.jobId}/requeue`);
+  assert.equal(again, 409);
+  await server.waitForJob(requeued.jobId);
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+const ADMIN_KEY = 'clave-admin-de-prueba';
+const admin = { 'X-API-Key': ADMIN_KEY };
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    videos: { 'clip.mp4': 'video de prueba' },
+    env: { ADMIN_API_KEY: ADMIN_KEY }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('la cuota de tokens cuenta las llamadas al modelo de los análisis fallidos', async () => {
+  const { status, body: apiKey } = await server.request('POST', '/api-keys', {
+    name: 'cuota',
+    scopes: ['read', 'analyze'],
+    tokenQuota: 1,
+    quotaPeriod: 'day'
+  }, admin);
+  assert.equal(status, 201, JSON.stringify(apiKey));
+  const client = { 'X-API-Key': apiKey.key };
+
+  const created = await server.request('POST', '/jobs', {
+    source: 'local',
+    videoId: 'clip.mp4',
+    models: ['mock:mock-invalid']
+  }, client);
+  assert.equal(created.status, 202, created.text);
+
+  const job = await waitFor(async () => {
+    const { body } = await server.request('GET', `/jobs/${created.body.jobId}`, undefined, admin);
+    return ['done', 'failed'].includes(body.status) ? body : undefined;
+  }, { timeout: 15000, message: 'al job fallido' });
+  assert.equal(job.status, 'failed');
+
+  // El job no tiene tokenUsage, pero el análisis y la reparación sí consumieron tokens
+  const { body: details } = await server.request('GET', `/api-keys/${apiKey.id}`, undefined, admin);
+  assert.ok(details.usage.used > 0, JSON.stringify(details.usage));
+  assert.equal(details.usage.remaining, 0);
+
+  const rejected = await server.request('POST', '/jobs', { source: 'local', videoId: 'clip.mp4' }, client);
+  assert.equal(rejected.status, 429, rejected.text);
+  assert.equal(rejected.body.used, details.usage.used);
+});
+
+test('el autor de una cancelación con API key es el nombre de la clave', async () => {
+  const { body: apiKey } = await server.request('POST', '/api-keys', { name: 'integracion', scopes: ['read', 'analyze'] }, admin);
+  const client = { 'X-API-Key': apiKey.key };
+
+  await server.request('POST', '/queue/pause', undefined, admin);
+  try {
+    const { body: job } = await server.request('POST', '/jobs', { source: 'local', videoId: 'clip.mp4', force: true }, client);
+    const { status, body } = await server.request('DELETE', `/jobs/${job.jobId}`, undefined, { ...client, 'X-Author': 'admin' });
+    assert.equal(status, 200);
+    assert.equal(body.cancelledBy, 'integracion (admin)');
+  } finally {
+    await server.request('POST', '/queue/resume', undefined, admin);
+  }
+});
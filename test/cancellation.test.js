@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    videos: {
+      'queued.mp4': 'video en cola',
+      'running.mp4': 'video en curso',
+      'timeout.mp4': 'video con timeout',
+      'next.mp4': 'video siguiente'
+    },
+    env: {
+      MAX_CONCURRENT_REQUESTS: '1',
+      MODEL_TIMEOUT_MS: '500',
+      JOB_MAX_RETRIES: '0'
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function enqueue(videoId, body = {}) {
+  const { status, body: job } = await server.request('POST', '/jobs', { source: 'local', videoId, ...body });
+  assert.equal(status, 202, JSON.stringify(job));
+  return job;
+}
+
+function abortedCalls() {
+  return server.output.split('Llamada a mock-slow abortada').length - 1;
+}
+
+test('cancelar un job en cola lo termina sin procesarlo', async () => {
+  await server.request('POST', '/queue/pause');
+  try {
+    const job = await enqueue('queued.mp4');
+    const { status, body } = await server.request('DELETE', `/jobs/${job.jobId}?reason=prueba`, undefined, { 'X-Author': 'ana' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'cancelled');
+    assert.equal(body.cancelReason, 'prueba');
+    assert.equal(body.attempts, 0);
+
+    const { status: again } = await server.request('DELETE', `/jobs/${job.jobId}`);
+    assert.equal(again, 409);
+  } finally {
+    await server.request('POST', '/queue/resume');
+  }
+});
+
+test('cancelar un job en curso aborta la llamada al modelo y libera su hueco', async () => {
+  const before = abortedCalls();
+  const job = await enqueue('running.mp4', { models: ['mock:mock-slow'] });
+  await waitFor(async () => {
+    const { body } = await server.request('GET', `/jobs/${job.jobId}`);
+    return body.status === 'analyzing';
+  }, { message: 'a que el job empiece a analizar' });
+
+  const { body } = await server.request('DELETE', `/jobs/${job.jobId}`);
+  assert.equal(body.status, 'cancelled');
+  assert.equal(body.errorCode, 'CANCELLED');
+  assert.equal(abortedCalls(), before + 1);
+
+  // Con un solo hueco, el siguiente job solo avanza si el cancelado lo liberó
+  const next = await server.waitForJob((await enqueue('next.mp4')).jobId);
+  assert.equal(next.status, 'done');
+  const { body: status } = await server.request('GET', '/queue-status');
+  assert.equal(status.currentProcessing, 0);
+});
+
+test('un modelo que supera su plazo se aborta y se pasa al siguiente de la cadena', async () => {
+  const before = abortedCalls();
+  const job = await server.waitForJob((await enqueue('timeout.mp4', { models: ['mock:mock-slow', 'mock:mock-1'] })).jobId);
+  assert.equal(job.status, 'done', job.error);
+  assert.equal(job.result.modelUsed, 'mock:mock-1');
+  assert.equal(abortedCalls(), before + 1);
+
+  const failed = await server.waitForJob((await enqueue('timeout.mp4', { force: true, models: ['mock:mock-slow'] })).jobId);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.errorCode, 'MODEL_TIMEOUT');
+  assert.equal(abortedCalls(), before + 2);
+});
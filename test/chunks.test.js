@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startServer } = require('./helpers');
+
+// El corte en fragmentos necesita ffmpeg y ffprobe (FFMPEG_PATH/FFPROBE_PATH o el PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const hasFfmpeg = [FFMPEG_PATH, FFPROBE_PATH].every(command => spawnSync(command, ['-version']).status === 0);
+
+const FIXTURE = {
+  texto_visible: false,
+  musica_fondo: false,
+  objetos_presentes: 'Una carta de ajuste',
+  personas: false,
+  acciones: 'Cambian los colores',
+  colores_predominantes: 'multicolor',
+  ambiente_contexto: 'generado',
+  dialogo_narracion: false,
+  duracion_segundos: 2,
+  duracion_formato: '0:02'
+};
+
+test('analiza un video largo por fragmentos y combina los resultados', { skip: !hasFfmpeg && 'ffmpeg no disponible' }, async () => {
+  const server = await startServer({
+    videos: {},
+    fixtures: { 'default.json': FIXTURE },
+    env: { FFMPEG_PATH, FFPROBE_PATH, CHUNK_SECONDS: '2' },
+    prepare: (dir) => {
+      const result = spawnSync(FFMPEG_PATH, [
+        '-f', 'lavfi', '-i', 'testsrc=duration=6:size=160x120:rate=10',
+        '-pix_fmt', 'yuv420p', path.join(dir, 'videos', 'largo.mp4')
+      ]);
+      assert.equal(result.status, 0, String(result.stderr));
+    }
+  });
+
+  try {
+    const { body } = await server.request('POST', '/jobs', { source: 'local', videoId: 'largo.mp4' });
+    const job = await server.waitForJob(body.jobId, { timeout: 60000 });
+
+    assert.equal(job.status, 'done', job.error);
+    assert.equal(job.progress.total, 3);
+    assert.equal(job.progress.done, 3);
+    assert.ok(job.progress.chunks.every(chunk => chunk.status === 'done'));
+
+    // Listas sin duplicados y duraciones sumadas
+    const { description } = job.result;
+    assert.equal(description.objetos_presentes, 'Una carta de ajuste');
+    assert.equal(description.duracion_segundos, 6);
+    assert.equal(description.duracion_formato, '0:06');
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,18 @@
+// Precarga para los tests (NODE_OPTIONS=--require): los nombres *.rebind.test resuelven a
+// 127.0.0.1, como un host que tras validarse cambia su DNS a una dirección interna
+const dns = require('dns');
+
+const lookup = dns.lookup;
+dns.lookup = function (hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (!/\.rebind\.test$/.test(hostname)) {
+    return lookup.call(this, hostname, options, callback);
+  }
+  process.nextTick(() => {
+    if (options && options.all) callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    else callback(null, '127.0.0.1', 4);
+  });
+};
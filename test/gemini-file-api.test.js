@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startStubServer, waitFor } = require('./helpers');
+
+const DESCRIPTION = {
+  texto_visible: false,
+  musica_fondo: false,
+  objetos_presentes: 'Una pelota',
+  personas: false,
+  acciones: 'La pelota rueda',
+  colores_predominantes: 'rojo',
+  ambiente_contexto: 'exterior',
+  dialogo_narracion: false,
+  duracion_segundos: 3,
+  duracion_formato: '0:03'
+};
+const SMALL_VIDEO = Buffer.alloc(200, 1);
+const LARGE_VIDEO = Buffer.alloc(8192, 2);
+
+let server;
+let gemini;
+let failUploads = false;
+
+// Imita la File API (subida resumible, estado y borrado) y generateContent de Gemini
+function handleGemini(request, res) {
+  const json = (status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  if (request.method === 'POST' && request.url === '/upload/v1beta/files') {
+    if (failUploads) return json(503, { error: { code: 503, message: 'overloaded' } });
+    return json(200, {}, { 'x-goog-upload-url': `${gemini.url}/upload-session/1` });
+  }
+  if (request.method === 'POST' && request.url === '/upload-session/1') {
+    return json(200, { file: { name: 'files/abc', uri: `${gemini.url}/v1beta/files/abc`, mimeType: 'video/mp4', state: 'PROCESSING' } });
+  }
+  if (request.url === '/v1beta/files/abc') {
+    return request.method === 'DELETE' ? json(200, {}) : json(200, { name: 'files/abc', state: 'ACTIVE' });
+  }
+  if (request.url.endsWith(':generateContent')) {
+    return json(200, {
+      candidates: [{ content: { role: 'model', parts: [{ text: JSON.stringify(DESCRIPTION) }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 20, totalTokenCount: 120 }
+    });
+  }
+  json(404, { error: { code: 404, message: 'not found' } });
+}
+
+before(async () => {
+  gemini = await startStubServer(handleGemini);
+  server = await startServer({
+    videos: { 'small.mp4': SMALL_VIDEO, 'large.mp4': LARGE_VIDEO },
+    env: {
+      GEMINI_API_KEY: 'clave-de-prueba',
+      GEMINI_BASE_URL: gemini.url,
+      GEMINI_INLINE_MAX_MB: '0.001',
+      LLM_MODEL_CHAIN: 'gemini:gemini-2.5-flash',
+      LLM_ENABLE_MOCK: 'false',
+      JOB_MAX_RETRIES: '0'
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await gemini.close();
+});
+
+async function analyze(videoId) {
+  const { status, body } = await server.request('POST', '/jobs', { source: 'local', videoId, force: true });
+  assert.equal(status, 202);
+  return server.waitForJob(body.jobId);
+}
+
+function generateRequests() {
+  return gemini.requests.filter(r => r.url.endsWith(':generateContent')).map(r => JSON.parse(r.body));
+}
+
+test('los videos pequeños van inline en base64', async () => {
+  gemini.requests.length = 0;
+  const job = await analyze('small.mp4');
+
+  assert.equal(job.status, 'done');
+  assert.equal(gemini.requests.some(r => r.url.startsWith('/upload')), false);
+  const [request] = generateRequests();
+  const media = request.contents[0].parts.find(part => part.inlineData);
+  assert.equal(media.inlineData.data, SMALL_VIDEO.toString('base64'));
+});
+
+test('los videos grandes se suben a la File API, se referencian por URI y se borran', async () => {
+  gemini.requests.length = 0;
+  const job = await analyze('large.mp4');
+
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.result.description, DESCRIPTION);
+
+  const [start, upload] = gemini.requests;
+  assert.equal(start.headers['x-goog-api-key'], 'clave-de-prueba');
+  assert.equal(start.headers['x-goog-upload-protocol'], 'resumable');
+  assert.equal(start.headers['x-goog-upload-header-content-length'], String(LARGE_VIDEO.length));
+  assert.equal(upload.url, '/upload-session/1');
+  assert.equal(upload.headers['x-goog-upload-command'], 'upload, finalize');
+  assert.ok(upload.body.equals(LARGE_VIDEO));
+
+  const [request] = generateRequests();
+  const parts = request.contents[0].parts;
+  assert.equal(parts.some(part => part.inlineData), false);
+  assert.equal(parts.find(part => part.fileData).fileData.fileUri, `${gemini.url}/v1beta/files/abc`);
+
+  await waitFor(() => gemini.requests.some(r => r.method === 'DELETE' && r.url === '/v1beta/files/abc'), {
+    message: 'al borrado del archivo subido'
+  });
+});
+
+test('un error de la File API se clasifica como error del modelo', async () => {
+  failUploads = true;
+  try {
+    const job = await analyze('large.mp4');
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCode, 'MODEL_UNAVAILABLE');
+    assert.equal(job.errorCategory, 'model');
+  } finally {
+    failUploads = false;
+  }
+});
+
+test('sin LLM_ENABLE_MOCK se rechaza el proveedor mock', async () => {
+  for (const body of [{ provider: 'mock' }, { models: ['mock:mock-1'] }]) {
+    const { status, body: error } = await server.request('POST', '/jobs', { source: 'local', videoId: 'small.mp4', force: true, ...body });
+    assert.equal(status, 400);
+    assert.equal(error.error, 'Proveedor no configurado: mock');
+  }
+});
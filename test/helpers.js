@@ -0,0 +1,156 @@
+// Utilidades comunes de los tests: arrancan server.js en un directorio temporal (con su
+// propia videos.db) y servidores HTTP locales que hacen de Gemini o de receptor de webhooks
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+// Puerto libre asignado por el sistema
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = http.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Espera a que check() devuelva algo distinto de undefined/false
+async function waitFor(check, { timeout = 10000, interval = 100, message = 'condición' } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError = null;
+
+  while (Date.now() < deadline) {
+    try {
+      const value = await check();
+      if (value !== undefined && value !== false && value !== null) return value;
+    } catch (error) {
+      lastError = error;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timeout esperando ${message}${lastError ? `: ${lastError.message}` : ''}`);
+}
+
+// Arranca el servidor con la cadena de modelos mock, un directorio de videos locales con
+// `videos` ({ nombre: contenido }) y respuestas fijas del mock en `fixtures`
+// ({ '<perfil>.json': objeto }). Variables de entorno extra en `env`; `prepare(dir)` se
+// ejecuta antes de arrancar (por ejemplo, para crear una videos.db antigua).
+async function startServer({ env = {}, videos = { 'clip.mp4': 'video de prueba' }, fixtures = {}, prepare = null } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-analyzer-test-'));
+  const videoDir = path.join(dir, 'videos');
+  const fixturesDir = path.join(dir, 'fixtures');
+  fs.mkdirSync(videoDir);
+  fs.mkdirSync(fixturesDir);
+  for (const [name, content] of Object.entries(videos)) {
+    fs.writeFileSync(path.join(videoDir, name), content);
+  }
+  for (const [name, content] of Object.entries(fixtures)) {
+    fs.writeFileSync(path.join(fixturesDir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  if (prepare) {
+    await prepare(dir);
+  }
+
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LLM_MODEL_CHAIN: 'mock:mock-1',
+      LLM_ENABLE_MOCK: 'true',
+      LOCAL_VIDEO_DIR: videoDir,
+      MOCK_FIXTURES_DIR: fixturesDir,
+      UPLOAD_DIR: path.join(dir, 'uploads'),
+      FFPROBE_PATH: path.join(dir, 'sin-ffprobe'),
+      FFMPEG_PATH: path.join(dir, 'sin-ffmpeg'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const server = {
+    dir,
+    videoDir,
+    baseUrl,
+    get output() { return output; },
+
+    async request(method, urlPath, body, headers = {}) {
+      const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let json = null;
+      try { json = JSON.parse(text); } catch (e) { /* respuesta no JSON */ }
+      return { status: response.status, headers: response.headers, body: json, text };
+    },
+
+    // Espera a que un job termine y devuelve su estado
+    waitForJob(jobId, { timeout = 15000 } = {}) {
+      return waitFor(async () => {
+        const { body } = await server.request('GET', `/jobs/${jobId}`);
+        return ['done', 'failed', 'cancelled'].includes(body.status) ? body : undefined;
+      }, { timeout, message: `al job ${jobId}` });
+    },
+
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+        await exited;
+        clearTimeout(timer);
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitFor(async () => (await fetch(`${baseUrl}/health`)).ok, { message: 'al servidor' });
+  } catch (error) {
+    await server.stop();
+    throw new Error(`${error.message}\n${output}`);
+  }
+  return server;
+}
+
+// Servidor HTTP local que registra cada petición ({ method, url, headers, body }) y
+// responde con handler(request, res)
+async function startStubServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks), receivedAt: Date.now() };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startServer, startStubServer, waitFor };
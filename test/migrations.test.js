@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { startServer, waitFor } = require('./helpers');
+
+// Crea videos.db con el esquema original (drive_id como única clave, sin perfiles)
+function createLegacyDatabase(dir) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(path.join(dir, 'videos.db'));
+    db.exec(`
+      CREATE TABLE videos (
+        drive_id TEXT PRIMARY KEY,
+        description TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        token_usage TEXT
+      );
+      INSERT INTO videos (drive_id, description) VALUES ('1AbCdEf', '{"texto_visible":"Oferta de verano"}');
+    `, (err) => {
+      db.close();
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+test('arranca sobre una base de datos con el esquema original y la migra', async () => {
+  const server = await startServer({ prepare: createLegacyDatabase });
+  try {
+    // La migración corre en segundo plano tras arrancar
+    const body = await waitFor(async () => {
+      const response = await server.request('GET', '/videos/1AbCdEf');
+      return response.status === 200 ? response.body : undefined;
+    }, { message: 'a la migración' });
+    assert.equal(body.profile, 'default');
+    assert.equal(body.description.texto_visible, 'Oferta de verano');
+
+    const { body: list } = await server.request('GET', '/videos');
+    assert.deepEqual(list.videos.map(video => video.drive_id), ['1AbCdEf']);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,33 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({ videos: { 'clip.mp4': 'video con historial' } });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('las ediciones simultáneas reciben números de revisión consecutivos', async () => {
+  const { body } = await server.request('POST', '/jobs', { source: 'local', videoId: 'clip.mp4' });
+  const job = await server.waitForJob(body.jobId);
+  assert.equal(job.status, 'done', job.error);
+  const videoPath = `/videos/${encodeURIComponent('local:clip.mp4')}`;
+
+  const edits = await Promise.all([1, 2, 3, 4, 5].map(n =>
+    server.request('PUT', videoPath, { description: { ...job.result.description, personas: `Edición ${n}` } })
+  ));
+  assert.deepEqual(edits.map(edit => edit.status), [200, 200, 200, 200, 200]);
+  assert.deepEqual(edits.map(edit => edit.body.revision).sort(), [2, 3, 4, 5, 6]);
+
+  const restored = await server.request('POST', `${videoPath}/revisions/1/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.revision, 7);
+
+  const { body: history } = await server.request('GET', `${videoPath}/revisions`);
+  assert.deepEqual(history.revisions.map(revision => revision.revision).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7]);
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, waitFor } = require('./helpers');
+
+const CONTENT = 'video subido de prueba';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function upload(fields = {}, query = '?async=true') {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  form.append('video', new Blob([CONTENT]), 'clip.mp4');
+  const response = await fetch(`${server.baseUrl}/upload${query}`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+function uploadedFiles() {
+  const dir = path.join(server.dir, 'uploads');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+}
+
+test('las subidas repetidas no borran el archivo que usa un job pendiente', async () => {
+  await server.request('POST', '/queue/pause');
+  let first;
+  try {
+    first = await upload();
+    assert.equal(first.status, 202, JSON.stringify(first.body));
+
+    // Duplicada del job activo y rechazada por validación: el archivo compartido sigue ahí
+    const duplicate = await upload();
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.jobId, first.body.jobId);
+    const invalid = await upload({ callbackUrl: 'ftp://ejemplo.com/hook' });
+    assert.equal(invalid.status, 400);
+    assert.equal(uploadedFiles().length, 1);
+  } finally {
+    await server.request('POST', '/queue/resume');
+  }
+
+  const job = await server.waitForJob(first.body.jobId);
+  assert.equal(job.status, 'done', job.error);
+  await waitFor(() => uploadedFiles().length === 0, { message: 'al borrado del archivo subido' });
+
+  // Volver a subirlo es un acierto de cache y el archivo nuevo también se borra
+  const cached = await upload({}, '');
+  assert.equal(cached.status, 200);
+  assert.equal(cached.body.cached, true);
+  await waitFor(() => uploadedFiles().length === 0, { message: 'al borrado de la subida repetida' });
+});
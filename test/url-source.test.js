@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, startStubServer } = require('./helpers');
+
+let server;
+let origin;
+
+before(async () => {
+  origin = await startStubServer((request, res) => {
+    if (request.url === '/redirect') {
+      res.writeHead(302, { Location: `http://interno.rebind.test:${new URL(origin.url).port}/clip.mp4` });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'video/mp4' });
+    res.end('video descargado por url');
+  });
+  server = await startServer({
+    env: {
+      NODE_OPTIONS: `--require ${path.join(__dirname, 'fake-dns.js')}`,
+      URL_SOURCE_ALLOWED_HOSTS: '127.0.0.1',
+      JOB_MAX_RETRIES: '0'
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await origin.close();
+});
+
+async function analyzeUrl(url) {
+  const { status, body } = await server.request('POST', '/jobs', { source: 'url', videoId: url, force: true });
+  assert.equal(status, 202, JSON.stringify(body));
+  return server.waitForJob(body.jobId);
+}
+
+test('rechaza URLs que no son http(s) o con una IP interna literal', async () => {
+  for (const url of [
+    'ftp://ejemplo.com/clip.mp4',
+    'http://169.254.169.254/latest/meta-data',
+    'http://localhost./clip.mp4',
+    'http://[::ffff:127.0.0.1]/clip.mp4',
+    'http://[::7f00:1]/clip.mp4',
+    'http://[64:ff9b::a9fe:a9fe]/clip.mp4'
+  ]) {
+    const { status } = await server.request('POST', '/jobs', { source: 'url', videoId: url });
+    assert.equal(status, 400, url);
+  }
+});
+
+test('descarga de los hosts internos de URL_SOURCE_ALLOWED_HOSTS', async () => {
+  const job = await analyzeUrl(`${origin.url}/clip.mp4`);
+  assert.equal(job.status, 'done', job.error);
+});
+
+test('comprueba la dirección al conectar: un DNS que resuelve a loopback no pasa', async () => {
+  origin.requests.length = 0;
+  const direct = await analyzeUrl(`http://interno.rebind.test:${new URL(origin.url).port}/clip.mp4`);
+  assert.equal(direct.status, 'failed');
+  assert.equal(direct.errorCode, 'DOWNLOAD_FORBIDDEN');
+  assert.equal(origin.requests.length, 0);
+
+  // Tampoco tras una redirección desde un host permitido
+  const redirected = await analyzeUrl(`${origin.url}/redirect`);
+  assert.equal(redirected.status, 'failed');
+  assert.equal(redirected.errorCode, 'DOWNLOAD_FORBIDDEN');
+  assert.deepEqual(origin.requests.map(request => request.url), ['/redirect']);
+});
@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { startServer, startStubServer, waitFor } = require('./helpers');
+
+const SECRET = 'secreto-de-prueba';
+const RETRY_BASE_MS = 300;
+
+let server;
+let receiver;
+let failuresLeft;
+
+before(async () => {
+  // /flaky falla las dos primeras entregas; /down responde siempre 503
+  failuresLeft = 2;
+  receiver = await startStubServer((request, res) => {
+    if (request.url === '/down' || (request.url === '/flaky' && failuresLeft-- > 0)) {
+      res.statusCode = 503;
+      return res.end('no disponible');
+    }
+    res.end('ok');
+  });
+  server = await startServer({
+    env: {
+      WEBHOOK_SECRET: SECRET,
+      WEBHOOK_RETRY_BASE_MS: String(RETRY_BASE_MS),
+      WEBHOOK_MAX_ATTEMPTS: '3',
+      WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+      NODE_OPTIONS: `--require ${path.join(__dirname, 'fake-dns.js')}`
+    }
+  });
+});
+
+after(async () => {
+  await server.stop();
+  await receiver.close();
+});
+
+async function submitJob(callbackPath, extra = {}) {
+  const { status, body } = await server.request('POST', '/jobs', {
+    source: 'local',
+    videoId: 'clip.mp4',
+    force: true,
+    callbackUrl: callbackPath.startsWith('http') ? callbackPath : `${receiver.url}${callbackPath}`,
+    ...extra
+  });
+  assert.equal(status, 202);
+  return body.jobId;
+}
+
+async function waitForDeliveries(jobId, isFinished) {
+  return waitFor(async () => {
+    const { body } = await server.request('GET', `/jobs/${jobId}/webhooks`);
+    const [delivery] = body.deliveries;
+    return delivery && isFinished(delivery) ? delivery : undefined;
+  }, { timeout: 15000, message: `a los webhooks del job ${jobId}` });
+}
+
+test('firma la entrega con HMAC-SHA256 del cuerpo', async () => {
+  const jobId = await submitJob('/ok', { callbackSecret: 'otro-secreto' });
+  await waitForDeliveries(jobId, delivery => delivery.status === 'delivered');
+
+  const request = receiver.requests.find(r => r.url === '/ok');
+  const expected = crypto.createHmac('sha256', 'otro-secreto').update(request.body).digest('hex');
+  assert.equal(request.headers['x-signature-256'], `sha256=${expected}`);
+  assert.equal(request.headers['x-webhook-event'], 'job.done');
+
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.jobId, jobId);
+  assert.equal(payload.status, 'done');
+  assert.equal(request.headers['x-webhook-delivery'].length > 0, true);
+});
+
+test('reintenta con backoff exponencial y registra cada intento', async () => {
+  const jobId = await submitJob('/flaky');
+  const delivery = await waitForDeliveries(jobId, d => d.status === 'delivered');
+
+  assert.equal(delivery.attempts, 3);
+  assert.deepEqual(delivery.attempts_log.map(attempt => attempt.status_code), [503, 503, 200]);
+  assert.equal(delivery.attempts_log[0].error, 'HTTP 503');
+  assert.equal(delivery.attempts_log[2].error, null);
+
+  // Sin secreto propio se firma con WEBHOOK_SECRET
+  const requests = receiver.requests.filter(r => r.url === '/flaky');
+  const expected = crypto.createHmac('sha256', SECRET).update(requests[0].body).digest('hex');
+  assert.equal(requests[0].headers['x-signature-256'], `sha256=${expected}`);
+  assert.equal(requests[0].headers['x-webhook-delivery'], requests[2].headers['x-webhook-delivery']);
+
+  // Segundo reintento tras el doble de espera que el primero
+  const firstGap = requests[1].receivedAt - requests[0].receivedAt;
+  const secondGap = requests[2].receivedAt - requests[1].receivedAt;
+  assert.ok(firstGap >= RETRY_BASE_MS, `primer reintento a los ${firstGap} ms`);
+  assert.ok(secondGap >= 2 * RETRY_BASE_MS, `segundo reintento a los ${secondGap} ms`);
+});
+
+test('marca la entrega como fallida al agotar WEBHOOK_MAX_ATTEMPTS', async () => {
+  const jobId = await submitJob('/down');
+  const delivery = await waitForDeliveries(jobId, d => d.status === 'failed');
+
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.attempts_log.length, 3);
+  assert.ok(delivery.attempts_log.every(attempt => attempt.status_code === 503));
+  assert.equal(receiver.requests.filter(r => r.url === '/down').length, 3);
+});
+
+test('solo acepta callbacks a direcciones públicas o permitidas', async () => {
+  for (const callbackUrl of ['http://169.254.169.254/hook', 'http://localhost:8080/hook', 'http://[::1]/hook', 'ftp://ejemplo.com/hook']) {
+    const { status } = await server.request('POST', '/jobs', { source: 'local', videoId: 'clip.mp4', callbackUrl });
+    assert.equal(status, 400, callbackUrl);
+  }
+});
+
+test('no entrega a un host que al conectar resuelve a una dirección interna', async () => {
+  const jobId = await submitJob(`http://interno.rebind.test:${new URL(receiver.url).port}/rebind`);
+  const delivery = await waitForDeliveries(jobId, d => d.status === 'failed');
+
+  // Sin reintentos: la dirección no cambia al reintentar
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.attempts_log[0].status_code, null);
+  assert.match(delivery.attempts_log[0].error, /dirección interna/);
+  assert.equal(receiver.requests.some(r => r.url === '/rebind'), false);
+});